@@ -0,0 +1,78 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// Incident status workflow. Each transition lists the statuses it may start
+// from, the permission needed to perform it and the fields that must be present.
+// requiresApprovedReport holds the transition until the final report is signed off,
+// requiresCompletedActions until every mandatory action item is done.
+// (Transitions in older config files may still list roles instead.)
+// Set INCIDENT_WORKFLOW_CONFIG to a JSON file with the same shape to override.
+const defaultWorkflow = {
+  initialStatus: 'open',
+  statuses: [
+    'open',
+    'pending-review',
+    'in-progress',
+    'awaiting-action',
+    'resolved',
+    'closed',
+    'reopened'
+  ],
+  transitions: [
+    {
+      from: ['open', 'reopened'],
+      to: 'pending-review',
+      permission: 'incident.status.update'
+    },
+    {
+      from: ['open', 'pending-review', 'awaiting-action', 'reopened'],
+      to: 'in-progress',
+      permission: 'incident.status.update'
+    },
+    {
+      from: ['pending-review', 'in-progress'],
+      to: 'awaiting-action',
+      permission: 'incident.status.update'
+    },
+    {
+      from: ['in-progress', 'awaiting-action'],
+      to: 'resolved',
+      permission: 'incident.status.update',
+      requiredFields: ['action_taken']
+    },
+    {
+      from: ['in-progress', 'awaiting-action', 'resolved'],
+      to: 'closed',
+      permission: 'incident.status.update',
+      requiredFields: ['root_cause', 'action_taken'],
+      requiresApprovedReport: true,
+      requiresCompletedActions: true
+    },
+    {
+      from: ['resolved'],
+      to: 'reopened',
+      permission: 'incident.status.update',
+      requiredFields: ['reason']
+    },
+    {
+      from: ['closed'],
+      to: 'reopened',
+      permission: 'incident.reopen.closed',
+      requiredFields: ['reason']
+    }
+  ]
+};
+
+const loadWorkflow = () => {
+  const configPath = process.env.INCIDENT_WORKFLOW_CONFIG;
+  if (!configPath) return defaultWorkflow;
+
+  const workflow = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!Array.isArray(workflow.statuses) || !Array.isArray(workflow.transitions)) {
+    throw new Error(`Invalid incident workflow config: ${configPath}`);
+  }
+
+  return { initialStatus: defaultWorkflow.initialStatus, ...workflow };
+};
+
+module.exports = loadWorkflow();
\ No newline at end of file
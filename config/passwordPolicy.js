@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+const flag = (value, fallback) => {
+  if (typeof value === 'undefined') return fallback;
+  return value === 'true' || value === '1';
+};
+
+// Password strength rules, overridable through environment variables
+module.exports = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  disallowUsername: flag(process.env.PASSWORD_DISALLOW_USERNAME, true),
+  resetTokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10)
+};
\ No newline at end of file
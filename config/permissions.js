@@ -0,0 +1,80 @@
+// Named permissions and the built-in roles that hold them. Admins can edit
+// role definitions at runtime (rows in role_definitions override these).
+const permissions = {
+  'incident.create': 'Report new incidents',
+  'incident.read.own': 'See incidents you reported',
+  'incident.read.department': 'See incidents routed to your department or assigned to you',
+  'incident.read.all': 'See every incident, including the history of deleted ones',
+  'incident.acknowledge': 'Record investigation responses on an incident',
+  'incident.response.edit.any': 'Edit investigation responses recorded by anyone',
+  'incident.response.approve': 'Approve or reject final incident reports',
+  'incident.action.manage': 'Plan, edit and cancel corrective and preventive actions',
+  'incident.action.verify': 'Verify the effectiveness of completed actions',
+  'incident.status.update': 'Move incidents through the status workflow',
+  'incident.reopen.closed': 'Reopen closed incidents',
+  'incident.classify': 'Change severity, priority, source, category and project',
+  'incident.assign': 'Assign incidents and route them between department queues',
+  'incident.assignable': 'Be assigned incidents to investigate',
+  'incident.attach.closed': 'Add attachments to closed incidents',
+  'incident.delete': 'Move incidents to the recycle bin',
+  'incident.restore': 'See the recycle bin and restore incidents from it',
+  'incident.legal_hold': 'Place and lift legal holds that block purging',
+  'incident.quarantine.read': 'See quarantined uploads',
+  'attachment.delete.any': 'Delete attachments uploaded by anyone',
+  'comment.internal': 'Read and write internal notes',
+  'comment.delete.any': 'Delete anyone\'s comments at any time',
+  'user.read': 'List users and view their profiles',
+  'user.create': 'Create user accounts',
+  'user.update': 'Edit and archive user accounts',
+  'user.delete': 'Delete user accounts',
+  'user.security': 'Unlock accounts, reset passwords and revoke sessions',
+  'user.manage.admin': 'Create or change accounts with administrative roles',
+  'role.manage': 'Edit role definitions',
+  'taxonomy.manage': 'Manage incident taxonomies',
+  'webhook.manage': 'Manage outgoing webhooks'
+};
+
+// A role holding any of these counts as administrative: only holders of
+// user.manage.admin may create such accounts, or change existing ones
+const privilegedPermissions = [
+  'incident.delete',
+  'incident.legal_hold',
+  'user.update',
+  'user.delete',
+  'user.security',
+  'user.manage.admin',
+  'role.manage',
+  'webhook.manage'
+];
+
+const roles = {
+  admin: {
+    description: 'Full access',
+    permissions: Object.keys(permissions)
+  },
+  superuser: {
+    description: 'Investigates incidents of their department',
+    permissions: [
+      'incident.read.department',
+      'incident.acknowledge',
+      'incident.status.update',
+      'incident.classify',
+      'incident.assign',
+      'incident.assignable',
+      'incident.action.manage',
+      'incident.attach.closed',
+      'comment.internal',
+      'user.read',
+      'user.create'
+    ]
+  },
+  user: {
+    description: 'Reports incidents',
+    permissions: [
+      'incident.create',
+      'incident.read.own'
+    ]
+  }
+};
+
+module.exports = { permissions, privilegedPermissions, roles };
\ No newline at end of file
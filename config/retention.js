@@ -0,0 +1,27 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// Incident retention. Deleted incidents stay in the recycle bin for
+// deletedGraceDays before they are purged for good. Each policy additionally
+// purges incidents that have been closed for longer than retainDays, matched
+// like SLA policies on source_of_incident (a policy without one matches all;
+// the most specific wins). Incidents under legal hold are never purged.
+// Set RETENTION_CONFIG to a JSON file with the same shape to override.
+const defaultRetention = {
+  deletedGraceDays: parseInt(process.env.RETENTION_DELETED_GRACE_DAYS || '30', 10),
+  policies: []
+};
+
+const loadRetention = () => {
+  const configPath = process.env.RETENTION_CONFIG;
+  if (!configPath) return defaultRetention;
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (config.policies && !Array.isArray(config.policies)) {
+    throw new Error(`Invalid retention config: ${configPath}`);
+  }
+
+  return { ...defaultRetention, ...config };
+};
+
+module.exports = loadRetention();
\ No newline at end of file
@@ -0,0 +1,46 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// SLA targets, matched on source_of_incident and severity. A policy without
+// source_of_incident or severity matches any value; when several match, the
+// one naming the most fields wins, then the earliest in the list.
+// The acknowledge clock stops at the first response, the close clock when the
+// incident reaches one of closingStatuses. Only 'closed' counts: resolved
+// incidents can still be reopened, and retention purges by closed_at.
+// Set SLA_POLICIES_CONFIG to a JSON file with the same shape to override.
+const defaultPolicies = {
+  closingStatuses: ['closed'],
+  policies: [
+    {
+      name: 'critical',
+      severity: 'critical',
+      acknowledgeWithinHours: 4,
+      closeWithinHours: 48
+    },
+    {
+      name: 'high',
+      severity: 'high',
+      acknowledgeWithinHours: 8,
+      closeWithinHours: 72
+    },
+    {
+      name: 'default',
+      acknowledgeWithinHours: 24,
+      closeWithinHours: 7 * 24
+    }
+  ]
+};
+
+const loadPolicies = () => {
+  const configPath = process.env.SLA_POLICIES_CONFIG;
+  if (!configPath) return defaultPolicies;
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (!Array.isArray(config.policies)) {
+    throw new Error(`Invalid SLA policies config: ${configPath}`);
+  }
+
+  return { closingStatuses: defaultPolicies.closingStatuses, ...config };
+};
+
+module.exports = loadPolicies();
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Incident classification. Severity and priority are fixed scales; the lookup
+// lists are admin-managed rows in taxonomy_entries, and each one lists the
+// column whose free-text values must match an entry's name. references are
+// further columns holding the same names, rewritten along with it on renames.
+const severityLevels = ['low', 'medium', 'high', 'critical'];
+const priorityLevels = ['low', 'normal', 'high', 'urgent'];
+
+const taxonomies = {
+  sources: { table: 'incidents', column: 'source_of_incident' },
+  categories: { table: 'incidents', column: 'category' },
+  projects: { table: 'incidents', column: 'project_name' },
+  departments: {
+    table: 'users',
+    column: 'department',
+    references: [{ table: 'incidents', column: 'assigned_department' }]
+  }
+};
+
+module.exports = {
+  severityLevels,
+  priorityLevels,
+  defaultSeverity: 'medium',
+  defaultPriority: 'normal',
+  taxonomies
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+const MB = 1024 * 1024;
+
+const megabytes = (value, fallback) => parseInt(value || String(fallback), 10) * MB;
+
+// Upload limits per role. maxFileSize caps a single attachment, maxIncidentTotal
+// caps the combined size of all attachments on one incident.
+const quotas = {
+  user: {
+    maxFileSize: megabytes(process.env.UPLOAD_USER_MAX_FILE_MB, 500),
+    maxIncidentTotal: megabytes(process.env.UPLOAD_USER_MAX_INCIDENT_MB, 2048)
+  },
+  superuser: {
+    maxFileSize: megabytes(process.env.UPLOAD_SUPERUSER_MAX_FILE_MB, 1024),
+    maxIncidentTotal: megabytes(process.env.UPLOAD_SUPERUSER_MAX_INCIDENT_MB, 4096)
+  },
+  admin: {
+    maxFileSize: megabytes(process.env.UPLOAD_ADMIN_MAX_FILE_MB, 2048),
+    maxIncidentTotal: megabytes(process.env.UPLOAD_ADMIN_MAX_INCIDENT_MB, 8192)
+  }
+};
+
+module.exports = {
+  quotas,
+  quotaFor: (role) => quotas[role] || quotas.user,
+  // Files are staged on disk here, never buffered in memory
+  stagingDir: process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'panache-uploads'),
+  // Unfinished resumable uploads are discarded after this many hours
+  resumableExpiryHours: parseInt(process.env.UPLOAD_RESUMABLE_EXPIRY_HOURS || '24', 10),
+  jsonBodyLimit: process.env.JSON_BODY_LIMIT || '1mb',
+  // Real (content-sniffed) types accepted as attachments. HEIC is left out
+  // until its EXIF (location, device) can be stripped like JPEG's.
+  allowedTypes: (process.env.UPLOAD_ALLOWED_TYPES || [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'video/mp4',
+    'video/quicktime',
+    'video/webm',
+    'video/3gpp'
+  ].join(',')).split(',').map(type => type.trim()),
+  // Images are rewritten in memory to strip metadata, so cap their size
+  maxImageSize: megabytes(process.env.UPLOAD_MAX_IMAGE_MB, 50),
+  quarantineBucket: process.env.QUARANTINE_BUCKET || 'incident-quarantine'
+};
\ No newline at end of file
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { isSessionActive } = require('../utils/sessions');
+const { getRolePermissions } = require('../utils/permissions');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,6 +13,11 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session that can be revoked server-side
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
     
     // Fetch user from database
     const { data: user, error } = await supabaseAdmin
@@ -31,20 +38,24 @@ const authenticateToken = async (req, res, next) => {
       return res.status(403).json({ error: 'User not found or inactive' });
     }
 
+    user.permissions = await getRolePermissions(user.role);
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
-const authorizeRoles = (...roles) => {
+// Allow the request when the user's role grants any of the permissions
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
+    if (!req.user || !permissions.some(permission => req.user.permissions.includes(permission))) {
       return res.status(403).json({ error: 'Access denied' });
     }
     next();
   };
 };
 
-module.exports = { authenticateToken, authorizeRoles };
\ No newline at end of file
+module.exports = { authenticateToken, requirePermission };
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Generic in-memory fixed-window rate limiter.
+// Usage: router.post('/x', rateLimit({ windowMs: 60000, max: 10 }), handler)
+const rateLimit = ({
+  windowMs = 60 * 1000,
+  max = 60,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+} = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - entry.count));
+    res.setHeader('RateLimit-Reset', Math.ceil((entry.resetAt - now) / 1000));
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return res.status(429).json({ error: message });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
\ No newline at end of file
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { quotaFor, stagingDir } = require('../config/uploads');
+
+fs.mkdirSync(stagingDir, { recursive: true });
+
+// Stage uploads on disk so large videos never sit in process memory
+const storage = multer.diskStorage({
+  destination: stagingDir,
+  filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}.part`)
+});
+
+const fileFilter = (req, file, cb) => {
+  // Accept images and videos
+  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('INVALID_FILE_TYPE'));
+  }
+};
+
+// Accept up to maxCount files in a multipart field, limited by the caller's
+// per-role file size quota. Staged files are removed once the response is sent.
+const uploadAttachments = (field, maxCount) => (req, res, next) => {
+  res.on('close', () => {
+    for (const file of req.files || []) {
+      fs.unlink(file.path, () => {});
+    }
+  });
+
+  multer({
+    storage,
+    limits: { fileSize: quotaFor(req.user.role).maxFileSize },
+    fileFilter
+  }).array(field, maxCount)(req, res, next);
+};
+
+// Error handler for multer
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: 'Too many files uploaded' });
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File exceeds the size limit for your role' });
+    }
+  } else if (err && err.message === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({ error: 'Only image and video files are allowed' });
+  }
+  next(err);
+};
+
+module.exports = { uploadAttachments, handleMulterError };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken } = require('../middleware/auth');
+const { applyIncidentScope } = require('../utils/incidentQuery');
+const { ACTION_STATUSES, OPEN_STATUSES, today, isOverdue } = require('../utils/incidentActions');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Listings are capped rather than paginated; overdue work should stay short
+const MAX_ACTIONS = 500;
+
+const byDueDate = (a, b) => a.due_date.localeCompare(b.due_date) || a.created_at.localeCompare(b.created_at);
+
+// Action items across incidents: owner=me|<user id>, status (comma list),
+// overdue=true for open items past their due date (false for the rest).
+// Callers see the actions they own and those on incidents they can see.
+router.get('/', authenticateToken, async (req, res) => {
+  const statuses = req.query.status
+    ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+    : null;
+
+  if (statuses && statuses.some(status => !ACTION_STATUSES.includes(status))) {
+    return res.status(400).json({ error: `Invalid status, expected any of: ${ACTION_STATUSES.join(', ')}` });
+  }
+
+  if (typeof req.query.overdue !== 'undefined' && !['true', 'false'].includes(req.query.overdue)) {
+    return res.status(400).json({ error: 'Invalid overdue, expected true or false' });
+  }
+
+  // The filtered listing; narrowScope restricts it to one part of the caller's visibility
+  const fetchActions = async (narrowScope) => {
+    let query = supabaseAdmin
+      .from('incident_actions')
+      .select(`
+        *,
+        owner:users!incident_actions_owner_id_fkey(id, username, department),
+        incident:incidents!inner(id, subject, status, user_id, assigned_to, assigned_department)
+      `)
+      .order('due_date', { ascending: true })
+      .order('created_at', { ascending: true })
+      .limit(MAX_ACTIONS);
+
+    query = narrowScope(query);
+
+    if (req.query.owner) {
+      query = query.eq('owner_id', req.query.owner === 'me' ? req.user.id : String(req.query.owner));
+    }
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+    if (req.query.overdue === 'true') {
+      query = query.in('status', OPEN_STATUSES).lt('due_date', today());
+    } else if (req.query.overdue === 'false') {
+      query = query.or(`status.not.in.(${OPEN_STATUSES.join(',')}),due_date.gte.${today()}`);
+    }
+
+    const { data: actions, error } = await query;
+
+    if (error) throw error;
+
+    return actions;
+  };
+
+  try {
+    let actions;
+    let truncated;
+
+    if (hasPermission(req.user, 'incident.read.all')) {
+      actions = await fetchActions(query => applyIncidentScope(query, req.user, { referencedTable: 'incident' }));
+      truncated = actions.length === MAX_ACTIONS;
+    } else {
+      // Owned actions, and those on incidents within the caller's scope
+      const [owned, scoped] = await Promise.all([
+        fetchActions(query => query
+          .eq('owner_id', req.user.id)
+          .is('incident.deleted_at', null)
+          .eq('incident.is_draft', false)),
+        fetchActions(query => applyIncidentScope(query, req.user, { referencedTable: 'incident' }))
+      ]);
+
+      const merged = new Map([...owned, ...scoped].map(action => [action.id, action]));
+      actions = [...merged.values()].sort(byDueDate);
+      truncated = owned.length === MAX_ACTIONS || scoped.length === MAX_ACTIONS || actions.length > MAX_ACTIONS;
+      actions = actions.slice(0, MAX_ACTIONS);
+    }
+
+    res.json({
+      actions: actions.map(action => ({ ...action, overdue: isOverdue(action) })),
+      truncated
+    });
+  } catch (error) {
+    console.error('Error fetching actions:', error);
+    res.status(500).json({ error: 'Failed to fetch actions' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,14 +1,40 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions
+} = require('../utils/sessions');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  isAccountLocked
+} = require('../utils/loginThrottle');
+const { validatePassword, setPassword, claimResetToken, releaseResetToken } = require('../utils/passwords');
+const { getRolePermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit({ windowMs: 60 * 1000, max: 30 }), async (req, res) => {
   const { username, password } = req.body;
 
+  // Progressive delay / temporary lockout after repeated failures
+  const throttled = checkLoginAllowed(username, req.ip);
+  if (throttled) {
+    res.setHeader('Retry-After', Math.ceil(throttled.retryAfterMs / 1000));
+    return res.status(429).json({
+      error: throttled.locked
+        ? 'Too many failed login attempts, try again later'
+        : 'Please wait before trying again'
+    });
+  }
+
   try {
     // Fetch user
     const { data: user, error } = await supabaseAdmin
@@ -18,6 +44,14 @@ router.post('/login', async (req, res) => {
       .single();
 
     if (error || !user) {
+      await recordLoginFailure(username, req.ip, null);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Answered like an unknown username so lockouts do not reveal which
+    // accounts exist
+    if (isAccountLocked(user)) {
+      await recordLoginFailure(username, req.ip, null);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -33,23 +67,31 @@ router.post('/login', async (req, res) => {
       });
 
     if (!passwordCheck) {
+      await recordLoginFailure(username, req.ip, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' }
-    );
+    await recordLoginSuccess(user, req.ip);
+
+    // An admin reset this password; the reset token must be used first
+    if (user.must_change_password) {
+      return res.status(403).json({
+        error: 'Password change required',
+        must_change_password: true
+      });
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const tokens = await createSession(user, req);
 
     res.json({
-      token,
+      ...tokens,
       user: {
         id: user.id,
         username: user.username,
         role: user.role,
-        department: user.department
+        department: user.department,
+        permissions: await getRolePermissions(user.role)
       }
     });
   } catch (error) {
@@ -58,4 +100,108 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  try {
+    const { tokens, user, error } = await rotateRefreshToken(refresh_token, req);
+
+    if (error === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({ error: 'Refresh token reuse detected, session revoked' });
+    }
+
+    if (error) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        department: user.department,
+        permissions: await getRolePermissions(user.role)
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with an admin-issued one-time reset token
+router.post('/password/reset', rateLimit({ windowMs: 15 * 60 * 1000, max: 10 }), async (req, res) => {
+  const { username, token, new_password } = req.body;
+
+  if (!username || !token || !new_password) {
+    return res.status(400).json({ error: 'Username, token and new password are required' });
+  }
+
+  const passwordErrors = validatePassword(new_password, { username });
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({ error: 'Password does not meet requirements', details: passwordErrors });
+  }
+
+  try {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('id, username, is_active')
+      .eq('username', username)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const tokenId = user && user.is_active ? await claimResetToken(user.id, token) : null;
+    if (!tokenId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // The token stays usable if the password cannot be set
+    try {
+      await setPassword(user.id, new_password);
+    } catch (error) {
+      await releaseResetToken(tokenId).catch(err => {
+        console.error('Error releasing reset token:', err);
+      });
+      throw error;
+    }
+    await revokeAllUserSessions(user.id, 'password_reset');
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out of all devices (revokes every session of the current user)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllUserSessions(req.user.id, 'logout_all');
+
+    res.json({ message: 'Signed out of all devices', revoked_sessions: revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
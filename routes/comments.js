@@ -0,0 +1,338 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadAttachments } = require('../middleware/upload');
+const { SCOPE_COLUMNS, canViewIncident } = require('../utils/incidentQuery');
+const { INCIDENT_EVENTS, recordIncidentEvent } = require('../utils/incidentEvents');
+const { signAttachments, uploadToBucket } = require('../utils/storage');
+const { checkIncidentQuota, vetOrQuarantine } = require('../utils/attachments');
+const { hasPermission } = require('../utils/permissions');
+
+// Mounted at /api/incidents/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Authors may edit or delete their own comments for this long after posting
+const EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES || '15', 10);
+
+const withinEditWindow = (comment) => {
+  return Date.now() - new Date(comment.created_at).getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+};
+
+// Fetch the incident and check the caller may see it; sends the error response otherwise
+const loadIncident = async (req, res) => {
+  const { data: incident, error } = await supabaseAdmin
+    .from('incidents')
+    .select(`id, ${SCOPE_COLUMNS}`)
+    .eq('id', req.params.id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!incident) {
+    res.status(404).json({ error: 'Incident not found' });
+    return null;
+  }
+
+  if (!canViewIncident(req.user, incident)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return incident;
+};
+
+// Internal notes are invisible to users with the 'user' role
+const loadComment = async (req, res) => {
+  const { data: comment, error } = await supabaseAdmin
+    .from('incident_comments')
+    .select('*')
+    .eq('id', req.params.commentId)
+    .eq('incident_id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!comment || (comment.is_internal && !hasPermission(req.user, 'comment.internal'))) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  return comment;
+};
+
+// Nest replies under their parent comment
+const buildThread = (comments) => {
+  const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  return roots;
+};
+
+// Get the comment thread of an incident
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    let query = supabaseAdmin
+      .from('incident_comments')
+      .select(`
+        *,
+        author:users!incident_comments_author_id_fkey(id, username, role, department),
+        incident_comment_attachments(*)
+      `)
+      .eq('incident_id', incident.id)
+      .order('created_at', { ascending: true });
+
+    if (!hasPermission(req.user, 'comment.internal')) {
+      query = query.eq('is_internal', false);
+    }
+
+    const { data: comments, error } = await query;
+
+    if (error) throw error;
+
+    for (const comment of comments) {
+      if (comment.deleted_at) {
+        comment.body = null;
+        comment.incident_comment_attachments = [];
+      }
+    }
+
+    await signAttachments(comments.flatMap(comment => comment.incident_comment_attachments || []));
+
+    res.json(buildThread(comments));
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Post a comment or reply, optionally with image/video attachments
+router.post('/', authenticateToken, uploadAttachments('attachments', 5), async (req, res) => {
+  const { body, parent_id } = req.body;
+  const isInternalRequested = req.body.is_internal === 'true' || req.body.is_internal === true;
+  const files = req.files || [];
+
+  if (typeof body !== 'undefined' && body !== null && typeof body !== 'string') {
+    return res.status(400).json({ error: 'Comment text must be a string' });
+  }
+
+  if ((!body || !body.trim()) && files.length === 0) {
+    return res.status(400).json({ error: 'Comment text or an attachment is required' });
+  }
+
+  if (isInternalRequested && !hasPermission(req.user, 'comment.internal')) {
+    return res.status(403).json({ error: 'Only reviewers can post internal notes' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    let isInternal = isInternalRequested;
+
+    if (parent_id) {
+      const { data: parent, error: parentError } = await supabaseAdmin
+        .from('incident_comments')
+        .select('id, is_internal, deleted_at')
+        .eq('id', parent_id)
+        .eq('incident_id', incident.id)
+        .maybeSingle();
+
+      if (parentError) throw parentError;
+
+      if (!parent || (parent.is_internal && !hasPermission(req.user, 'comment.internal'))) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+
+      // Replies to internal notes stay internal
+      isInternal = isInternal || parent.is_internal;
+    }
+
+    if (files.length > 0) {
+      const incomingBytes = files.reduce((sum, file) => sum + file.size, 0);
+      const quotaError = await checkIncidentQuota(incident.id, req.user.role, incomingBytes);
+      if (quotaError) {
+        return res.status(413).json({ error: quotaError });
+      }
+    }
+
+    const { data: comment, error } = await supabaseAdmin
+      .from('incident_comments')
+      .insert({
+        incident_id: incident.id,
+        parent_id: parent_id || null,
+        author_id: req.user.id,
+        body: body ? body.trim() : '',
+        is_internal: isInternal
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const uploadErrors = [];
+    comment.incident_comment_attachments = [];
+
+    for (const file of files) {
+      try {
+        const rejection = await vetOrQuarantine({
+          incidentId: incident.id,
+          commentId: comment.id,
+          file,
+          uploaderId: req.user.id
+        });
+        if (rejection) {
+          uploadErrors.push(rejection);
+          continue;
+        }
+
+        const path = await uploadToBucket(
+          `${incident.id}/comments/${comment.id}/${Date.now()}-${file.originalname}`,
+          file
+        );
+
+        const { data: attachment, error: attachmentError } = await supabaseAdmin
+          .from('incident_comment_attachments')
+          .insert({
+            comment_id: comment.id,
+            file_url: path,
+            file_type: file.mimetype,
+            file_size: file.size
+          })
+          .select()
+          .single();
+
+        if (attachmentError) throw attachmentError;
+
+        comment.incident_comment_attachments.push(attachment);
+      } catch (fileError) {
+        console.error('Error processing comment attachment:', fileError);
+        uploadErrors.push(`Failed to upload ${file.originalname}`);
+      }
+    }
+
+    await signAttachments(comment.incident_comment_attachments);
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.COMMENT_ADDED,
+      actorId: req.user.id,
+      newValue: { comment_id: comment.id, is_internal: comment.is_internal }
+    });
+
+    res.status(201).json({
+      message: uploadErrors.length > 0
+        ? `Comment posted, but some files failed to upload: ${uploadErrors.join(', ')}`
+        : 'Comment posted successfully',
+      comment,
+      uploadErrors: uploadErrors.length > 0 ? uploadErrors : undefined
+    });
+  } catch (error) {
+    console.error('Error posting comment:', error);
+    res.status(500).json({ error: 'Failed to post comment' });
+  }
+});
+
+// Edit own comment within the grace window
+router.patch('/:commentId', authenticateToken, async (req, res) => {
+  const { body } = req.body;
+
+  if (typeof body !== 'string' || !body.trim()) {
+    return res.status(400).json({ error: 'Comment text is required' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    if (comment.author_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    if (comment.deleted_at) {
+      return res.status(400).json({ error: 'Comment has been deleted' });
+    }
+
+    if (!withinEditWindow(comment)) {
+      return res.status(403).json({ error: `Comments can only be edited within ${EDIT_WINDOW_MINUTES} minutes` });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('incident_comments')
+      .update({
+        body: body.trim(),
+        edited_at: new Date().toISOString()
+      })
+      .eq('id', comment.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: updated
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// Delete a comment (author within the grace window, admins at any time)
+router.delete('/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    if (comment.deleted_at) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const isAuthor = comment.author_id === req.user.id;
+    if (!hasPermission(req.user, 'comment.delete.any')) {
+      if (!isAuthor) {
+        return res.status(403).json({ error: 'You can only delete your own comments' });
+      }
+      if (!withinEditWindow(comment)) {
+        return res.status(403).json({ error: `Comments can only be deleted within ${EDIT_WINDOW_MINUTES} minutes` });
+      }
+    }
+
+    // Soft delete keeps replies attached to the thread
+    const { error } = await supabaseAdmin
+      .from('incident_comments')
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: req.user.id
+      })
+      .eq('id', comment.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,424 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { SCOPE_COLUMNS, canViewIncident } = require('../utils/incidentQuery');
+const { INCIDENT_EVENTS, recordIncidentEvent } = require('../utils/incidentEvents');
+const {
+  ACTION_TYPES,
+  PROGRESS_STATUSES,
+  FINAL_STATUSES,
+  isValidDueDate,
+  isOverdue
+} = require('../utils/incidentActions');
+const { ACTION_ASSIGNED_NOTIFICATION, sendNotifications } = require('../utils/notifications');
+const { hasPermission } = require('../utils/permissions');
+
+// Mounted at /api/incidents/:id/actions
+const router = express.Router({ mergeParams: true });
+
+const ACTION_SELECT = `
+  *,
+  owner:users!incident_actions_owner_id_fkey(id, username, department),
+  verifier:users!incident_actions_verified_by_fkey(id, username)
+`;
+
+// Fetch the incident (without checking access; owners of an action may
+// work on it without seeing the rest of the incident)
+const loadIncident = async (req, res) => {
+  const { data: incident, error } = await supabaseAdmin
+    .from('incidents')
+    .select(`id, subject, status, ${SCOPE_COLUMNS}`)
+    .eq('id', req.params.id)
+    .is('deleted_at', null)
+    .eq('is_draft', false)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!incident) {
+    res.status(404).json({ error: 'Incident not found' });
+    return null;
+  }
+
+  return incident;
+};
+
+const loadAction = async (req, res) => {
+  const { data: action, error } = await supabaseAdmin
+    .from('incident_actions')
+    .select('*')
+    .eq('id', req.params.actionId)
+    .eq('incident_id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!action) {
+    res.status(404).json({ error: 'Action not found' });
+    return null;
+  }
+
+  return action;
+};
+
+// Owners must be active accounts
+const findOwner = async (ownerId) => {
+  const { data: owner, error } = await supabaseAdmin
+    .from('users')
+    .select('id, username, email, is_active')
+    .eq('id', ownerId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return owner && owner.is_active ? owner : null;
+};
+
+const notifyOwner = async (owner, incident, action, actorId) => {
+  if (owner.id === actorId) return;
+
+  try {
+    await sendNotifications({
+      recipients: [owner],
+      type: ACTION_ASSIGNED_NOTIFICATION,
+      incidentId: incident.id,
+      title: 'Action assigned to you',
+      body: `You own the ${action.action_type} action "${action.title}" on "${incident.subject}", due ${action.due_date}.`
+    });
+  } catch (error) {
+    console.error(`Error notifying owner of action ${action.id}:`, error);
+  }
+};
+
+const withOverdue = (action) => ({ ...action, overdue: isOverdue(action) });
+
+// Action items of an incident, earliest due first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { data: actions, error } = await supabaseAdmin
+      .from('incident_actions')
+      .select(ACTION_SELECT)
+      .eq('incident_id', incident.id)
+      .order('due_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(actions.map(withOverdue));
+  } catch (error) {
+    console.error('Error fetching actions:', error);
+    res.status(500).json({ error: 'Failed to fetch actions' });
+  }
+});
+
+// Plan a corrective or preventive action
+router.post('/', authenticateToken, requirePermission('incident.action.manage'), async (req, res) => {
+  const { title, description, action_type = 'corrective', owner_id, due_date } = req.body;
+  const mandatory = req.body.mandatory !== false && req.body.mandatory !== 'false';
+
+  if (!title || !String(title).trim() || !owner_id || !due_date) {
+    return res.status(400).json({ error: 'title, owner_id and due_date are required' });
+  }
+
+  if (!ACTION_TYPES.includes(action_type)) {
+    return res.status(400).json({ error: `Invalid action_type, expected one of: ${ACTION_TYPES.join(', ')}` });
+  }
+
+  if (!isValidDueDate(due_date)) {
+    return res.status(400).json({ error: 'Invalid due_date, expected YYYY-MM-DD' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const owner = await findOwner(owner_id);
+    if (!owner) {
+      return res.status(400).json({ error: 'Owner not found or inactive' });
+    }
+
+    const { data: action, error } = await supabaseAdmin
+      .from('incident_actions')
+      .insert({
+        incident_id: incident.id,
+        title: String(title).trim(),
+        description: description || null,
+        action_type,
+        mandatory,
+        owner_id: owner.id,
+        due_date,
+        status: 'open',
+        created_by: req.user.id
+      })
+      .select(ACTION_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.ACTION_ADDED,
+      actorId: req.user.id,
+      newValue: { action_id: action.id, title: action.title, owner_id: owner.id, due_date }
+    });
+
+    await notifyOwner(owner, incident, action, req.user.id);
+
+    res.status(201).json({
+      message: 'Action added successfully',
+      action: withOverdue(action)
+    });
+  } catch (error) {
+    console.error('Error adding action:', error);
+    res.status(500).json({ error: 'Failed to add action' });
+  }
+});
+
+// Change the plan of an action: title, description, type, owner, due date,
+// whether it is mandatory, or cancel it (status 'cancelled' with a reason)
+router.patch('/:actionId', authenticateToken, requirePermission('incident.action.manage'), async (req, res) => {
+  const fields = ['title', 'description', 'action_type', 'owner_id', 'due_date', 'mandatory'];
+
+  const updates = {};
+  for (const field of fields) {
+    if (typeof req.body[field] !== 'undefined') updates[field] = req.body[field];
+  }
+
+  const cancelling = req.body.status === 'cancelled';
+  if (typeof req.body.status !== 'undefined' && !cancelling) {
+    return res.status(400).json({ error: "Only 'cancelled' can be set here; owners report progress separately" });
+  }
+  if (cancelling && (!req.body.reason || !String(req.body.reason).trim())) {
+    return res.status(400).json({ error: 'A reason is required to cancel an action' });
+  }
+
+  if (Object.keys(updates).length === 0 && !cancelling) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  if (typeof updates.title !== 'undefined' && (!updates.title || !String(updates.title).trim())) {
+    return res.status(400).json({ error: 'title cannot be empty' });
+  }
+  if (typeof updates.owner_id !== 'undefined' && !updates.owner_id) {
+    return res.status(400).json({ error: 'owner_id cannot be empty' });
+  }
+  if (updates.action_type && !ACTION_TYPES.includes(updates.action_type)) {
+    return res.status(400).json({ error: `Invalid action_type, expected one of: ${ACTION_TYPES.join(', ')}` });
+  }
+  if (typeof updates.due_date !== 'undefined' && !isValidDueDate(updates.due_date)) {
+    return res.status(400).json({ error: 'Invalid due_date, expected YYYY-MM-DD' });
+  }
+  if (typeof updates.mandatory !== 'undefined') {
+    updates.mandatory = updates.mandatory === true || updates.mandatory === 'true';
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const current = await loadAction(req, res);
+    if (!current) return;
+
+    if (FINAL_STATUSES.includes(current.status)) {
+      return res.status(409).json({ error: `Action is already ${current.status}` });
+    }
+
+    let owner = null;
+    if (typeof updates.owner_id !== 'undefined' && updates.owner_id !== current.owner_id) {
+      owner = await findOwner(updates.owner_id);
+      if (!owner) {
+        return res.status(400).json({ error: 'Owner not found or inactive' });
+      }
+    }
+
+    const previous = Object.fromEntries(Object.keys(updates).map(field => [field, current[field]]));
+    if (cancelling) previous.status = current.status;
+
+    const { data: action, error } = await supabaseAdmin
+      .from('incident_actions')
+      .update({
+        ...updates,
+        ...(cancelling && {
+          status: 'cancelled',
+          cancel_reason: String(req.body.reason).trim()
+        }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', current.id)
+      .select(ACTION_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.ACTION_UPDATED,
+      actorId: req.user.id,
+      oldValue: previous,
+      newValue: { action_id: current.id, ...updates, ...(cancelling && { status: 'cancelled' }) },
+      metadata: cancelling ? { reason: String(req.body.reason).trim() } : {}
+    });
+
+    if (owner) {
+      await notifyOwner(owner, incident, action, req.user.id);
+    }
+
+    res.json({
+      message: cancelling ? 'Action cancelled' : 'Action updated successfully',
+      action: withOverdue(action)
+    });
+  } catch (error) {
+    console.error('Error updating action:', error);
+    res.status(500).json({ error: 'Failed to update action' });
+  }
+});
+
+// Report progress: the owner (or an action manager) moves the item between
+// open, in_progress and done, optionally with a note
+router.post('/:actionId/progress', authenticateToken, async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!PROGRESS_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status, expected one of: ${PROGRESS_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const current = await loadAction(req, res);
+    if (!current) return;
+
+    const isOwner = current.owner_id === req.user.id;
+    const isManager = hasPermission(req.user, 'incident.action.manage') && canViewIncident(req.user, incident);
+    if (!isOwner && !isManager) {
+      return res.status(403).json({ error: 'Only the action owner can report progress' });
+    }
+
+    if (FINAL_STATUSES.includes(current.status)) {
+      return res.status(409).json({ error: `Action is already ${current.status}` });
+    }
+
+    const completing = status === 'done' && current.status !== 'done';
+
+    const { data: action, error } = await supabaseAdmin
+      .from('incident_actions')
+      .update({
+        status,
+        ...(note && { progress_note: String(note).trim() }),
+        completed_at: status === 'done' ? (completing ? new Date().toISOString() : current.completed_at) : null,
+        completed_by: status === 'done' ? (completing ? req.user.id : current.completed_by) : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', current.id)
+      .select(ACTION_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    if (status !== current.status) {
+      await recordIncidentEvent({
+        incidentId: incident.id,
+        eventType: INCIDENT_EVENTS.ACTION_UPDATED,
+        actorId: req.user.id,
+        oldValue: { status: current.status },
+        newValue: { action_id: current.id, status },
+        metadata: note ? { note: String(note).trim() } : {}
+      });
+    }
+
+    res.json({
+      message: 'Progress updated successfully',
+      action: withOverdue(action)
+    });
+  } catch (error) {
+    console.error('Error updating action progress:', error);
+    res.status(500).json({ error: 'Failed to update action progress' });
+  }
+});
+
+// Verify whether a completed action was effective. Ineffective actions go
+// back to open for the owner to rework.
+router.post('/:actionId/verification', authenticateToken, requirePermission('incident.action.verify'), async (req, res) => {
+  const { effective, note } = req.body;
+
+  if (typeof effective !== 'boolean') {
+    return res.status(400).json({ error: 'effective must be true or false' });
+  }
+
+  if (!effective && (!note || !String(note).trim())) {
+    return res.status(400).json({ error: 'A note is required when an action was not effective' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const current = await loadAction(req, res);
+    if (!current) return;
+
+    if (current.status !== 'done') {
+      return res.status(409).json({ error: 'Only completed actions can be verified' });
+    }
+
+    const { data: action, error } = await supabaseAdmin
+      .from('incident_actions')
+      .update({
+        status: effective ? 'verified' : 'open',
+        effective,
+        verified_by: req.user.id,
+        verified_at: new Date().toISOString(),
+        verification_note: note ? String(note).trim() : null,
+        ...(!effective && { completed_at: null, completed_by: null }),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', current.id)
+      .eq('status', 'done')
+      .select(ACTION_SELECT)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Someone else verified or changed it in the meantime
+    if (!action) {
+      return res.status(409).json({ error: 'Only completed actions can be verified' });
+    }
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.ACTION_VERIFIED,
+      actorId: req.user.id,
+      newValue: { action_id: current.id, effective, status: action.status },
+      metadata: note ? { note: String(note).trim() } : {}
+    });
+
+    res.json({
+      message: effective ? 'Action verified as effective' : 'Action reopened as not effective',
+      action: withOverdue(action)
+    });
+  } catch (error) {
+    console.error('Error verifying action:', error);
+    res.status(500).json({ error: 'Failed to verify action' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
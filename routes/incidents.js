@@ -1,273 +1,1150 @@
 const express = require('express');
-const multer = require('multer');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadAttachments } = require('../middleware/upload');
+const {
+  parseIncidentFilters,
+  parsePagination,
+  applyIncidentScope,
+  applyAssignedTo,
+  applyIncidentFilters,
+  applyCursor,
+  reporterJoin,
+  buildPage,
+  SCOPE_COLUMNS,
+  canViewIncident
+} = require('../utils/incidentQuery');
+const { INCIDENT_EVENTS, recordIncidentEvent, getIncidentHistory } = require('../utils/incidentEvents');
+const { isValidStatus, gatherTransitionFields, checkTransition } = require('../utils/incidentWorkflow');
+const { signAttachments } = require('../utils/storage');
+const {
+  checkIncidentQuota,
+  saveIncidentAttachments,
+  removeIncidentAttachment
+} = require('../utils/attachments');
+const workflow = require('../config/incidentWorkflow');
+const {
+  fetchIncidentsForExport,
+  toExportRows,
+  writeCsv,
+  writeXlsx,
+  writeIncidentPdf
+} = require('../utils/incidentExport');
+const { computeIncidentStats } = require('../utils/incidentStats');
+const { initialSlaFields, reclassifiedSlaFields, acknowledgementSlaFields, statusChangeSlaFields } = require('../utils/sla');
+const { resolveClassification, resolveEntryName } = require('../utils/taxonomies');
+const { getRolePermissions, hasPermission } = require('../utils/permissions');
+const { purgeAfter } = require('../utils/retention');
+const { RESPONSE_TYPES, responseConflict, getFinalReport, nextResponseSequence } = require('../utils/incidentResponses');
+const { getOpenMandatoryActions } = require('../utils/incidentActions');
+const {
+  pickContent,
+  missingRequiredFields,
+  checkReporterEdit,
+  applyReporterEditGuard,
+  diffContent,
+  recordIncidentVersion
+} = require('../utils/incidentEdits');
+const classification = require('../config/taxonomies');
+const commentRoutes = require('./comments');
+const responseRoutes = require('./responses');
+const actionRoutes = require('./incidentActions');
 
 const router = express.Router();
 
-// Configure multer for file uploads - NO SIZE LIMIT
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: Infinity, // No file size limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept images and videos
-    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
-      cb(null, true);
+// Columns the SLA clocks need when an incident is acknowledged or changes status
+const SLA_COLUMNS = 'acknowledged_at, acknowledge_due_at, acknowledge_breached, closed_at, close_due_at, close_breached';
+
+// Set when an incident is reported directly or a draft is submitted
+const submissionFields = (user, incident, submittedAt = new Date()) => ({
+  submitted_at: submittedAt.toISOString(),
+  // New incidents wait in the reporter's department queue
+  assigned_department: user.department,
+  ...initialSlaFields(incident, submittedAt)
+});
+
+// List handler with filtering, search and cursor pagination on top of the
+// caller's scope; narrowScope optionally restricts the rows further. The
+// response stays a bare array with the pagination in X-Total-Count,
+// X-Has-More and X-Next-Cursor headers; envelope=true returns
+// { incidents, pagination } instead.
+const listIncidents = (narrowScope = (query) => query) => async (req, res) => {
+  const { filters, error: filterError } = parseIncidentFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const { pagination, error: paginationError } = parsePagination(req.query);
+  if (paginationError) {
+    return res.status(400).json({ error: paginationError });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from('incidents')
+      .select(`
+        *,
+        ${reporterJoin(filters)},
+        assignee:users!incidents_assigned_to_fkey(id, username, department),
+        incident_attachments(*),
+        incident_responses(*)
+      `)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pagination.limit + 1);
+
+    query = narrowScope(applyIncidentScope(query, req.user), req);
+    query = applyIncidentFilters(query, filters);
+    query = applyCursor(query, pagination.cursor);
+
+    // Total matching the filters, independent of the cursor position
+    let countQuery = supabaseAdmin
+      .from('incidents')
+      .select(`id, ${reporterJoin(filters)}`, { count: 'exact', head: true });
+
+    countQuery = narrowScope(applyIncidentScope(countQuery, req.user), req);
+    countQuery = applyIncidentFilters(countQuery, filters);
+
+    const [
+      { data: rows, error },
+      { count, error: countError }
+    ] = await Promise.all([query, countQuery]);
+
+    if (error) throw error;
+    if (countError) throw countError;
+
+    const { items: incidents, pagination: page } = buildPage(rows || [], pagination.limit, count || 0);
+
+    // Sign all attachment URLs of the page in bulk, unless the client opts
+    // out and fetches them per attachment on demand
+    if (req.query.sign_urls !== 'false') {
+      await signAttachments(incidents.flatMap(incident => incident.incident_attachments || []));
+    }
+
+    if (req.query.envelope === 'true') {
+      return res.json({ incidents, pagination: page });
+    }
+
+    res.setHeader('X-Total-Count', page.total);
+    res.setHeader('X-Has-More', String(page.has_more));
+    if (page.next_cursor) res.setHeader('X-Next-Cursor', page.next_cursor);
+
+    res.json(incidents);
+  } catch (error) {
+    console.error('Error fetching incidents:', error);
+    res.status(500).json({ error: 'Failed to fetch incidents' });
+  }
+};
+
+// Get incidents within the caller's read scope
+router.get('/', authenticateToken, listIncidents());
+
+// Incidents assigned to the caller; queue=true adds the unassigned incidents
+// waiting in the caller's department queue
+router.get('/assigned-to-me', authenticateToken, requirePermission('incident.assignable'), listIncidents((query, req) => {
+  return applyAssignedTo(query, req.user, { includeQueue: req.query.queue === 'true' });
+}));
+
+// Dashboard statistics (accepts the list filters, e.g. date_from/date_to)
+router.get('/stats', authenticateToken, async (req, res) => {
+  const { filters, error: filterError } = parseIncidentFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  try {
+    const stats = await computeIncidentStats(req.user, filters);
+
+    res.json({ filters, ...stats });
+  } catch (error) {
+    console.error('Error computing incident stats:', error);
+    res.status(500).json({ error: 'Failed to compute incident statistics' });
+  }
+});
+
+// Export incidents as CSV or XLSX (same filters and role scoping as the list)
+router.get('/export', authenticateToken, async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format, expected csv or xlsx' });
+  }
+
+  const { filters, error: filterError } = parseIncidentFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  try {
+    const incidents = await fetchIncidentsForExport(req.user, filters);
+    const rows = await toExportRows(incidents);
+    const filename = `incidents-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'xlsx') {
+      await writeXlsx(res, rows, filename);
     } else {
-      cb(new Error('INVALID_FILE_TYPE'));
+      writeCsv(res, rows, filename);
+    }
+  } catch (error) {
+    console.error('Error exporting incidents:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export incidents' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// Deleted incidents waiting to be purged, most recently deleted first
+router.get('/recycle-bin', authenticateToken, requirePermission('incident.restore'), async (req, res) => {
+  const { pagination, error: paginationError } = parsePagination(req.query);
+  if (paginationError) {
+    return res.status(400).json({ error: paginationError });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from('incidents')
+      .select(`
+        id, subject, status, source_of_incident, created_at, deleted_at, delete_reason,
+        legal_hold, legal_hold_reason,
+        user:users!incidents_user_id_fkey(id, username, department),
+        deleted_by_user:users!incidents_deleted_by_fkey(id, username)
+      `)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pagination.limit + 1);
+
+    query = applyCursor(query, pagination.cursor, 'deleted_at');
+
+    const { count, error: countError } = await supabaseAdmin
+      .from('incidents')
+      .select('id', { count: 'exact', head: true })
+      .not('deleted_at', 'is', null);
+
+    if (countError) throw countError;
+
+    const { data: rows, error } = await query;
+
+    if (error) throw error;
+
+    const { items, pagination: page } = buildPage(rows, pagination.limit, count || 0, 'deleted_at');
+
+    res.json({
+      incidents: items.map(incident => ({
+        ...incident,
+        purge_after: incident.legal_hold ? null : purgeAfter(incident)
+      })),
+      pagination: page
+    });
+  } catch (error) {
+    console.error('Error fetching recycle bin:', error);
+    res.status(500).json({ error: 'Failed to fetch recycle bin' });
+  }
+});
+
+// The caller's own drafts, most recently edited first
+router.get('/drafts', authenticateToken, requirePermission('incident.create'), async (req, res) => {
+  try {
+    const { data: drafts, error } = await supabaseAdmin
+      .from('incidents')
+      .select('*, incident_attachments(*)')
+      .eq('user_id', req.user.id)
+      .eq('is_draft', true)
+      .is('deleted_at', null)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ drafts });
+  } catch (error) {
+    console.error('Error fetching drafts:', error);
+    res.status(500).json({ error: 'Failed to fetch drafts' });
+  }
+});
+
+// Get single incident with attachments
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .select(`
+        *,
+        user:users!incidents_user_id_fkey(id, username, department),
+        assignee:users!incidents_assigned_to_fkey(id, username, department),
+        incident_attachments(*),
+        incident_responses(*)
+      `)
+      .eq('id', req.params.id)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) throw error;
+
+    // Check access rights
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Get signed URLs for attachments
+    await signAttachments(incident.incident_attachments);
+
+    res.json(incident);
+  } catch (error) {
+    console.error('Error fetching incident:', error);
+    res.status(500).json({ error: 'Failed to fetch incident' });
+  }
+});
+
+// Printable PDF report of a single incident
+router.get('/:id/report.pdf', authenticateToken, async (req, res) => {
+  try {
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .select(`
+        *,
+        user:users!incidents_user_id_fkey(id, username, department),
+        incident_attachments(*),
+        incident_responses(*)
+      `)
+      .eq('id', req.params.id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await writeIncidentPdf(res, incident, `incident-${incident.id}.pdf`);
+  } catch (error) {
+    console.error('Error generating incident report:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate incident report' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// Create incident (Users only) - per-file size limits are enforced while uploading
+router.post('/', authenticateToken, requirePermission('incident.create'), uploadAttachments('attachments', 10), async (req, res) => {
+  // Drafts may be saved with any subset of the fields and submitted later
+  const isDraft = req.body.draft === 'true' || req.body.draft === true;
+  const content = pickContent(req.body);
+
+  // Validate required fields
+  if (!isDraft && missingRequiredFields(content).length > 0) {
+    return res.status(400).json({ error: 'Required fields are missing' });
+  }
+
+  // File contents are verified (and quarantined if need be) while saving
+  // attachments; the mimetype prefix was only a first filter
+  try {
+    // Lookup fields must name an active taxonomy entry and are stored by canonical name
+    const { values: classified, error: classificationError } = await resolveClassification({
+      source_of_incident: content.source_of_incident || undefined,
+      project_name: content.project_name || undefined,
+      category: content.category || undefined,
+      severity: content.severity || classification.defaultSeverity
+    });
+    if (classificationError) {
+      return res.status(400).json({ error: classificationError });
+    }
+
+    const incomingBytes = (req.files || []).reduce((sum, file) => sum + file.size, 0);
+    const quotaError = await checkIncidentQuota(null, req.user.role, incomingBytes);
+    if (quotaError) {
+      return res.status(413).json({ error: quotaError });
+    }
+
+    // Create incident
+    const { data: incident, error: incidentError } = await supabaseAdmin
+      .from('incidents')
+      .insert({
+        user_id: req.user.id,
+        ...content,
+        project_name: classified.project_name || null,
+        source_of_incident: classified.source_of_incident || null,
+        category: classified.category || null,
+        severity: classified.severity,
+        priority: classification.defaultPriority,
+        preliminary_investigation: Boolean(content.preliminary_investigation),
+        status: workflow.initialStatus,
+        is_draft: isDraft,
+        ...(isDraft ? {} : submissionFields(req.user, classified))
+      })
+      .select()
+      .single();
+
+    if (incidentError) throw incidentError;
+
+    if (!isDraft) {
+      await recordIncidentEvent({
+        incidentId: incident.id,
+        eventType: INCIDENT_EVENTS.CREATED,
+        actorId: req.user.id,
+        newValue: { status: incident.status }
+      });
+    }
+
+    // Upload attachments if any
+    const { uploadErrors } = await saveIncidentAttachments(incident.id, req.files, req.user.id);
+    const saved = isDraft ? 'Draft saved successfully' : 'Incident reported successfully';
+
+    res.status(201).json({
+      message: uploadErrors.length > 0 
+        ? `${saved}, but some files failed to upload: ${uploadErrors.join(', ')}`
+        : saved,
+      incident,
+      uploadErrors: uploadErrors.length > 0 ? uploadErrors : undefined
+    });
+  } catch (error) {
+    console.error('Error creating incident:', error);
+    res.status(500).json({ error: 'Failed to create incident' });
+  }
+});
+
+// Edit an incident's content as its reporter: drafts at any time, submitted
+// incidents until review starts. Edits after submission are versioned.
+router.patch('/:id', authenticateToken, requirePermission('incident.create'), async (req, res) => {
+  const incidentId = req.params.id;
+  const content = pickContent(req.body);
+
+  if (Object.keys(content).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('incidents')
+      .select('*')
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const refusal = checkReporterEdit(req.user, current);
+    if (refusal) {
+      return res.status(403).json({ error: refusal });
+    }
+
+    // A draft may still be saved without a source
+    const clearsDraftSource = current.is_draft && content.source_of_incident === null;
+
+    const { values: classified, error: classificationError } = await resolveClassification({
+      source_of_incident: clearsDraftSource ? undefined : content.source_of_incident,
+      project_name: content.project_name,
+      category: content.category,
+      severity: content.severity
+    });
+    if (classificationError) {
+      return res.status(400).json({ error: classificationError });
+    }
+
+    const updated = { ...content, ...classified };
+
+    if (!current.is_draft) {
+      const missing = missingRequiredFields({ ...current, ...updated });
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Required fields cannot be cleared: ${missing.join(', ')}`, missing });
+      }
+    }
+
+    const changes = diffContent(current, updated);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No changes' });
+    }
+
+    // SLA targets depend on source and severity
+    const slaFields = !current.is_draft && (changes.severity || changes.source_of_incident)
+      ? reclassifiedSlaFields({ ...current, ...updated })
+      : {};
+
+    const query = supabaseAdmin
+      .from('incidents')
+      .update({
+        ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+        ...slaFields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', incidentId);
+
+    const { data: incident, error } = await applyReporterEditGuard(query, current)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Submitted, reviewed or deleted since it was loaded
+    if (!incident) {
+      return res.status(409).json({ error: 'The incident changed while you were editing it; reload and try again' });
+    }
+
+    if (!current.is_draft) {
+      const version = await recordIncidentVersion({ incidentId, changes, editorId: req.user.id });
+
+      await recordIncidentEvent({
+        incidentId,
+        eventType: INCIDENT_EVENTS.EDITED,
+        actorId: req.user.id,
+        newValue: { version: version.version, fields: Object.keys(changes) }
+      });
+    }
+
+    res.json({
+      message: current.is_draft ? 'Draft saved successfully' : 'Incident updated successfully',
+      incident
+    });
+  } catch (error) {
+    console.error('Error updating incident:', error);
+    res.status(500).json({ error: 'Failed to update incident' });
+  }
+});
+
+// Submit a draft for review
+router.post('/:id/submit', authenticateToken, requirePermission('incident.create'), async (req, res) => {
+  const incidentId = req.params.id;
+
+  try {
+    const { data: draft, error: draftError } = await supabaseAdmin
+      .from('incidents')
+      .select('*')
+      .eq('id', incidentId)
+      .eq('user_id', req.user.id)
+      .eq('is_draft', true)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (draftError) throw draftError;
+
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+
+    const missing = missingRequiredFields(draft);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Required fields are missing: ${missing.join(', ')}`, missing });
+    }
+
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .update({
+        is_draft: false,
+        ...submissionFields(req.user, draft),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', incidentId)
+      .eq('is_draft', true)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.CREATED,
+      actorId: req.user.id,
+      newValue: { status: incident.status },
+      metadata: { from_draft: true }
+    });
+
+    res.json({
+      message: 'Incident reported successfully',
+      incident
+    });
+  } catch (error) {
+    console.error('Error submitting draft:', error);
+    res.status(500).json({ error: 'Failed to submit draft' });
+  }
+});
+
+// Add attachments to an existing incident (reporter or reviewers)
+router.post('/:id/attachments', authenticateToken, uploadAttachments('attachments', 10), async (req, res) => {
+  const incidentId = req.params.id;
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  try {
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, status, ${SCOPE_COLUMNS}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (incident.status === 'closed' && !hasPermission(req.user, 'incident.attach.closed')) {
+      return res.status(400).json({ error: 'Cannot add attachments to a closed incident' });
+    }
+
+    const incomingBytes = req.files.reduce((sum, file) => sum + file.size, 0);
+    const quotaError = await checkIncidentQuota(incident.id, req.user.role, incomingBytes);
+    if (quotaError) {
+      return res.status(413).json({ error: quotaError });
+    }
+
+    const { attachments, uploadErrors } = await saveIncidentAttachments(incident.id, req.files, req.user.id);
+
+    await signAttachments(attachments);
+
+    res.status(attachments.length > 0 ? 201 : 500).json({
+      message: uploadErrors.length > 0
+        ? `Some files failed to upload: ${uploadErrors.join(', ')}`
+        : 'Attachments uploaded successfully',
+      attachments,
+      uploadErrors: uploadErrors.length > 0 ? uploadErrors : undefined
+    });
+  } catch (error) {
+    console.error('Error adding attachments:', error);
+    res.status(500).json({ error: 'Failed to add attachments' });
+  }
+});
+
+// Get signed URLs for a single attachment (used when listing with sign_urls=false)
+router.get('/:id/attachments/:attachmentId/url', authenticateToken, async (req, res) => {
+  const { id: incidentId, attachmentId } = req.params;
+
+  try {
+    const { data: attachment, error } = await supabaseAdmin
+      .from('incident_attachments')
+      .select(`*, incident:incidents(id, deleted_at, ${SCOPE_COLUMNS})`)
+      .eq('id', attachmentId)
+      .eq('incident_id', incidentId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!attachment || attachment.incident.deleted_at) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!canViewIncident(req.user, attachment.incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await signAttachments([attachment]);
+
+    if (!attachment.signed_url) {
+      return res.status(502).json({ error: 'Failed to sign attachment URL' });
+    }
+
+    res.json({
+      id: attachment.id,
+      signed_url: attachment.signed_url,
+      thumbnail_signed_url: attachment.thumbnail_signed_url || null,
+      preview_signed_url: attachment.preview_signed_url || null,
+      poster_signed_url: attachment.poster_signed_url || null
+    });
+  } catch (error) {
+    console.error('Error signing attachment URL:', error);
+    res.status(500).json({ error: 'Failed to sign attachment URL' });
+  }
+});
+
+// Delete an attachment (its uploader or an admin)
+router.delete('/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  const { id: incidentId, attachmentId } = req.params;
+
+  try {
+    const { data: attachment, error } = await supabaseAdmin
+      .from('incident_attachments')
+      .select(`*, incident:incidents(id, deleted_at, ${SCOPE_COLUMNS})`)
+      .eq('id', attachmentId)
+      .eq('incident_id', incidentId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!attachment || attachment.incident.deleted_at) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    if (!canViewIncident(req.user, attachment.incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (attachment.uploaded_by !== req.user.id && !hasPermission(req.user, 'attachment.delete.any')) {
+      return res.status(403).json({ error: 'You can only delete attachments you uploaded' });
+    }
+
+    await removeIncidentAttachment(attachment, req.user.id);
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+// List quarantined uploads of an incident
+router.get('/:id/quarantine', authenticateToken, requirePermission('incident.quarantine.read'), async (req, res) => {
+  try {
+    const { data: files, error } = await supabaseAdmin
+      .from('quarantined_attachments')
+      .select('*')
+      .eq('incident_id', req.params.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(files);
+  } catch (error) {
+    console.error('Error fetching quarantined attachments:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantined attachments' });
+  }
+});
+
+// Watch an incident to be notified of its updates
+router.post('/:id/watch', authenticateToken, async (req, res) => {
+  try {
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, ${SCOPE_COLUMNS}`)
+      .eq('id', req.params.id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { error: watchError } = await supabaseAdmin
+      .from('incident_watchers')
+      .upsert({ incident_id: incident.id, user_id: req.user.id }, { onConflict: 'incident_id,user_id' });
+
+    if (watchError) throw watchError;
+
+    res.json({ message: 'Watching incident' });
+  } catch (error) {
+    console.error('Error watching incident:', error);
+    res.status(500).json({ error: 'Failed to watch incident' });
+  }
+});
+
+// Stop watching an incident
+router.delete('/:id/watch', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('incident_watchers')
+      .delete()
+      .eq('incident_id', req.params.id)
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Stopped watching incident' });
+  } catch (error) {
+    console.error('Error unwatching incident:', error);
+    res.status(500).json({ error: 'Failed to unwatch incident' });
+  }
+});
+
+// Discussion thread
+router.use('/:id/comments', commentRoutes);
+
+// Editing, sign-off and reporter confirmation of investigation responses
+router.use('/:id/responses', responseRoutes);
+
+// Corrective and preventive action items
+router.use('/:id/actions', actionRoutes);
+
+// Reclassify an incident: severity, priority, source, category, project
+router.patch('/:id/classification', authenticateToken, requirePermission('incident.classify'), async (req, res) => {
+  const incidentId = req.params.id;
+  const fields = ['severity', 'priority', 'source_of_incident', 'category', 'project_name'];
+
+  const input = {};
+  for (const field of fields) {
+    if (typeof req.body[field] !== 'undefined') input[field] = req.body[field];
+  }
+
+  if (Object.keys(input).length === 0) {
+    return res.status(400).json({ error: `Nothing to update, expected any of: ${fields.join(', ')}` });
+  }
+
+  try {
+    const { values, error: classificationError } = await resolveClassification(input);
+    if (classificationError) {
+      return res.status(400).json({ error: classificationError });
+    }
+
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, created_at, submitted_at, ${SCOPE_COLUMNS}, ${fields.join(', ')}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .eq('is_draft', false)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, current)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const changed = Object.keys(values).filter(field => values[field] !== current[field]);
+    if (changed.length === 0) {
+      return res.status(400).json({ error: 'Classification is unchanged' });
     }
+
+    // SLA targets depend on source and severity
+    const slaFields = changed.includes('severity') || changed.includes('source_of_incident')
+      ? reclassifiedSlaFields({ ...current, ...values })
+      : {};
+
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .update({
+        ...values,
+        ...slaFields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', incidentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.CLASSIFICATION_CHANGED,
+      actorId: req.user.id,
+      oldValue: Object.fromEntries(changed.map(field => [field, current[field]])),
+      newValue: Object.fromEntries(changed.map(field => [field, values[field]]))
+    });
+
+    res.json({
+      message: 'Incident classification updated successfully',
+      incident
+    });
+  } catch (error) {
+    console.error('Error updating incident classification:', error);
+    res.status(500).json({ error: 'Failed to update incident classification' });
   }
 });
 
-// Error handler for multer - removed file size error
-const handleMulterError = (err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({ error: 'Too many files uploaded' });
-    }
-  } else if (err && err.message === 'INVALID_FILE_TYPE') {
-    return res.status(400).json({ error: 'Only image and video files are allowed' });
+// Assign an incident to an investigator and/or route it to a department
+// queue. assigned_to: null returns it to the queue.
+router.put('/:id/assignment', authenticateToken, requirePermission('incident.assign'), async (req, res) => {
+  const incidentId = req.params.id;
+  const { assigned_to, department, reason } = req.body;
+
+  if (typeof assigned_to === 'undefined' && !department) {
+    return res.status(400).json({ error: 'assigned_to or department is required' });
   }
-  next(err);
-};
 
-// Get all incidents (Admin and Superuser see all, Users see only their own)
-router.get('/', authenticateToken, async (req, res) => {
   try {
-    let query = supabaseAdmin
+    const { data: current, error: currentError } = await supabaseAdmin
       .from('incidents')
-      .select(`
-        *,
-        user:users!incidents_user_id_fkey(id, username, department),
-        incident_attachments(*),
-        incident_responses(*)
-      `)
-      .order('created_at', { ascending: false });
+      .select(`id, assigned_at, ${SCOPE_COLUMNS}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .eq('is_draft', false)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
 
-    // Regular users only see their own incidents
-    if (req.user.role === 'user') {
-      query = query.eq('user_id', req.user.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Incident not found' });
     }
 
-    const { data: incidents, error } = await query;
+    if (!canViewIncident(req.user, current)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
-    if (error) throw error;
+    let assignee = null;
+    if (assigned_to) {
+      const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('id, username, role, department, is_active')
+        .eq('id', assigned_to)
+        .maybeSingle();
+
+      if (error) throw error;
+      assignee = data;
 
-    // Generate signed URLs for all attachments
-    if (incidents && incidents.length > 0) {
-      for (let incident of incidents) {
-        if (incident.incident_attachments && incident.incident_attachments.length > 0) {
-          for (let attachment of incident.incident_attachments) {
-            try {
-              // Use the full file_url path from the database
-              const fullPath = attachment.file_url;
-              
-              const { data: signedUrlData, error: signedUrlError } = await supabaseAdmin
-                .storage
-                .from('incident-attachments')
-                .createSignedUrl(fullPath, 3600); // 1 hour expiry
-
-              if (!signedUrlError && signedUrlData) {
-                attachment.signed_url = signedUrlData.signedUrl;
-              } else {
-                console.error('Error generating signed URL for attachment:', signedUrlError);
-                attachment.signed_url = null;
-              }
-            } catch (urlError) {
-              console.error('Error processing signed URL:', urlError);
-              attachment.signed_url = null;
-            }
-          }
-        }
+      if (assignee) {
+        assignee.permissions = await getRolePermissions(assignee.role);
+      }
+
+      if (!assignee || !assignee.is_active || !hasPermission(assignee, 'incident.assignable')) {
+        return res.status(400).json({ error: 'Incidents can only be assigned to an active user who can investigate them' });
       }
     }
 
-    res.json(incidents);
+    // Assignees without company-wide access work within their own department
+    const departmentBound = assignee && !hasPermission(assignee, 'incident.read.all');
+
+    let assignedDepartment = current.assigned_department;
+    if (department) {
+      assignedDepartment = await resolveEntryName('departments', department);
+      if (!assignedDepartment) {
+        return res.status(400).json({ error: `Unknown department: ${department}` });
+      }
+    } else if (departmentBound) {
+      // Follow the assignee so the incident stays visible to them and their department
+      assignedDepartment = assignee.department;
+    }
+
+    if (departmentBound && assignee.department !== assignedDepartment) {
+      return res.status(400).json({ error: `${assignee.username} does not belong to the ${assignedDepartment} department` });
+    }
+
+    // Routing to another queue without naming an assignee leaves it unassigned there
+    let assignedTo = assignee ? assignee.id : null;
+    if (typeof assigned_to === 'undefined') {
+      assignedTo = assignedDepartment === current.assigned_department ? current.assigned_to : null;
+    }
+    if (assignedTo === current.assigned_to && assignedDepartment === current.assigned_department) {
+      return res.status(400).json({ error: 'Assignment is unchanged' });
+    }
+
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .update({
+        assigned_to: assignedTo,
+        assigned_department: assignedDepartment,
+        assigned_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', incidentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.ASSIGNED,
+      actorId: req.user.id,
+      oldValue: { assigned_to: current.assigned_to, assigned_department: current.assigned_department },
+      newValue: { assigned_to: assignedTo, assigned_department: assignedDepartment },
+      metadata: reason ? { reason } : {}
+    });
+
+    res.json({
+      message: 'Incident assignment updated successfully',
+      incident
+    });
   } catch (error) {
-    console.error('Error fetching incidents:', error);
-    res.status(500).json({ error: 'Failed to fetch incidents' });
+    console.error('Error assigning incident:', error);
+    res.status(500).json({ error: 'Failed to assign incident' });
   }
 });
 
-// Get single incident with attachments
-router.get('/:id', authenticateToken, async (req, res) => {
+// Assignment history of an incident
+router.get('/:id/assignments', authenticateToken, async (req, res) => {
+  const incidentId = req.params.id;
+
   try {
     const { data: incident, error } = await supabaseAdmin
       .from('incidents')
-      .select(`
-        *,
-        user:users!incidents_user_id_fkey(id, username, department),
-        incident_attachments(*),
-        incident_responses(*)
-      `)
-      .eq('id', req.params.id)
-      .single();
+      .select(`id, ${SCOPE_COLUMNS}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .maybeSingle();
 
     if (error) throw error;
 
-    // Check access rights
-    if (req.user.role === 'user' && incident.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
     }
 
-    // Get signed URLs for attachments
-    if (incident.incident_attachments && incident.incident_attachments.length > 0) {
-      for (let attachment of incident.incident_attachments) {
-        try {
-          const fullPath = attachment.file_url;
-          const { data: signedUrlData, error: signedUrlError } = await supabaseAdmin
-            .storage
-            .from('incident-attachments')
-            .createSignedUrl(fullPath, 3600); // 1 hour expiry
-
-          if (signedUrlError) {
-            console.error('Error generating signed URL for attachment:', signedUrlError);
-            attachment.signed_url = null;
-          } else if (signedUrlData) {
-            attachment.signed_url = signedUrlData.signedUrl;
-          }
-        } catch (urlError) {
-          console.error('Error processing signed URL:', urlError);
-          attachment.signed_url = null;
-        }
-      }
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json(incident);
+    const events = await getIncidentHistory(incidentId, { eventTypes: [INCIDENT_EVENTS.ASSIGNED] });
+
+    res.json({
+      incident_id: incidentId,
+      assigned_to: incident.assigned_to,
+      assigned_department: incident.assigned_department,
+      assignments: events
+    });
   } catch (error) {
-    console.error('Error fetching incident:', error);
-    res.status(500).json({ error: 'Failed to fetch incident' });
+    console.error('Error fetching incident assignments:', error);
+    res.status(500).json({ error: 'Failed to fetch incident assignments' });
   }
 });
 
-// Create incident (Users only) - NO FILE SIZE VALIDATION
-router.post('/', authenticateToken, authorizeRoles('user'), upload.array('attachments', 10), async (req, res) => {
-  const {
-    subject,
-    date_of_incident,
-    project_name,
-    sales_work_order_number,
-    source_of_incident,
-    preliminary_investigation,
-    details_and_findings,
-    suggestions
-  } = req.body;
+// Edits the reporter made after submitting, oldest first
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+  const incidentId = req.params.id;
 
-  // Validate required fields
-  if (!subject || !date_of_incident || !source_of_incident || !details_and_findings) {
-    return res.status(400).json({ error: 'Required fields are missing' });
-  }
+  try {
+    const { data: incident, error: incidentError } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, ${SCOPE_COLUMNS}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .maybeSingle();
 
-  // Validate file types only (no size check)
-  if (req.files && req.files.length > 0) {
-    for (const file of req.files) {
-      if (!file.mimetype.startsWith('image/') && !file.mimetype.startsWith('video/')) {
-        return res.status(400).json({ error: 'Only image and video files are allowed' });
-      }
+    if (incidentError) throw incidentError;
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
+
+    const { data: versions, error } = await supabaseAdmin
+      .from('incident_versions')
+      .select('*, editor:users!incident_versions_edited_by_fkey(id, username)')
+      .eq('incident_id', incidentId)
+      .order('version', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ incident_id: incidentId, versions });
+  } catch (error) {
+    console.error('Error fetching incident versions:', error);
+    res.status(500).json({ error: 'Failed to fetch incident versions' });
   }
+});
+
+// Get incident history (audit trail of every recorded change)
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  const incidentId = req.params.id;
 
   try {
-    // Create incident
-    const { data: incident, error: incidentError } = await supabaseAdmin
+    const { data: incident, error } = await supabaseAdmin
       .from('incidents')
-      .insert({
-        user_id: req.user.id,
-        subject,
-        date_of_incident,
-        project_name,
-        sales_work_order_number,
-        source_of_incident,
-        preliminary_investigation: preliminary_investigation === 'true' || preliminary_investigation === true,
-        details_and_findings,
-        suggestions,
-        status: 'open'
-      })
-      .select()
-      .single();
+      .select(`id, deleted_at, ${SCOPE_COLUMNS}`)
+      .eq('id', incidentId)
+      .maybeSingle();
 
-    if (incidentError) throw incidentError;
+    if (error) throw error;
 
-    // Upload attachments if any
-    const uploadErrors = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        const fileName = `${incident.id}/${Date.now()}-${file.originalname}`;
-        
-        try {
-          // Upload to Supabase Storage
-          const { data: uploadData, error: uploadError } = await supabaseAdmin
-            .storage
-            .from('incident-attachments')
-            .upload(fileName, file.buffer, {
-              contentType: file.mimetype,
-              upsert: false
-            });
-
-          if (uploadError) {
-            console.error('Error uploading file:', uploadError);
-            uploadErrors.push(`Failed to upload ${file.originalname}`);
-            continue;
-          }
-
-          // Save attachment record
-          const { error: attachmentError } = await supabaseAdmin
-            .from('incident_attachments')
-            .insert({
-              incident_id: incident.id,
-              file_url: uploadData.path,
-              file_type: file.mimetype
-            });
-
-          if (attachmentError) {
-            console.error('Error saving attachment record:', attachmentError);
-            uploadErrors.push(`Failed to save attachment for ${file.originalname}`);
-          }
-        } catch (fileError) {
-          console.error('Error processing file:', fileError);
-          uploadErrors.push(`Error processing ${file.originalname}`);
-        }
-      }
+    // The history of incidents in the recycle bin or purged is only
+    // available with company-wide read access
+    const deleted = !incident || Boolean(incident.deleted_at);
+    if (deleted && !hasPermission(req.user, 'incident.read.all')) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+    if (!deleted && !canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.status(201).json({
-      message: uploadErrors.length > 0 
-        ? `Incident reported successfully, but some files failed to upload: ${uploadErrors.join(', ')}`
-        : 'Incident reported successfully',
-      incident,
-      uploadErrors: uploadErrors.length > 0 ? uploadErrors : undefined
-    });
+    const events = await getIncidentHistory(incidentId);
+
+    if (!incident && events.length === 0) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    res.json({ incident_id: incidentId, deleted, purged: !incident, events });
   } catch (error) {
-    console.error('Error creating incident:', error);
-    res.status(500).json({ error: 'Failed to create incident' });
+    console.error('Error fetching incident history:', error);
+    res.status(500).json({ error: 'Failed to fetch incident history' });
   }
 });
 
-// Acknowledge incident (Superuser only)
-router.post('/:id/acknowledge', authenticateToken, authorizeRoles('superuser', 'admin'), async (req, res) => {
+// Acknowledge incident: record an interim update or the final report
+router.post('/:id/acknowledge', authenticateToken, requirePermission('incident.acknowledge'), async (req, res) => {
   const {
     investigation_findings,
     root_cause,
     action_taken,
     further_action_plan,
-    status
+    status,
+    reason,
+    response_type = 'interim'
   } = req.body;
 
   const incidentId = req.params.id;
 
   // Validate status
-  if (status && !['open', 'in-progress', 'closed'].includes(status)) {
+  if (status && !isValidStatus(status)) {
     return res.status(400).json({ error: 'Invalid status' });
   }
 
+  if (!RESPONSE_TYPES.includes(response_type)) {
+    return res.status(400).json({ error: `Invalid response_type, expected one of: ${RESPONSE_TYPES.join(', ')}` });
+  }
+
   try {
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, status, ${SCOPE_COLUMNS}, ${SLA_COLUMNS}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .eq('is_draft', false)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, current)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // There is one final report per incident; corrections go through editing it
+    const finalReport = await getFinalReport(incidentId);
+    if (response_type === 'final' && finalReport) {
+      return res.status(409).json({
+        error: 'This incident already has a final report; edit it instead',
+        response_id: finalReport.id
+      });
+    }
+
+    // The response being recorded counts towards the transition's required fields
+    if (status && status !== current.status) {
+      const fields = await gatherTransitionFields(incidentId, req.body);
+      const openActions = await getOpenMandatoryActions(incidentId);
+      const rejection = checkTransition({ from: current.status, to: status, user: req.user, fields, finalReport, openActions });
+      if (rejection) {
+        const { status: code, ...body } = rejection;
+        return res.status(code).json(body);
+      }
+    }
+
     // Create response record
     const { data: response, error: responseError } = await supabaseAdmin
       .from('incident_responses')
       .insert({
         incident_id: incidentId,
+        sequence: await nextResponseSequence(incidentId),
+        response_type,
+        // Final reports wait for sign-off
+        approval_status: response_type === 'final' ? 'pending' : null,
         investigation_findings,
         root_cause,
         action_taken,
@@ -277,14 +1154,36 @@ router.post('/:id/acknowledge', authenticateToken, authorizeRoles('superuser', '
       .select()
       .single();
 
+    // Another response was recorded at the same time
+    const conflict = responseConflict(responseError);
+    if (conflict === 'final') {
+      return res.status(409).json({ error: 'This incident already has a final report; edit it instead' });
+    }
+    if (conflict === 'sequence') {
+      return res.status(409).json({ error: 'Another response was recorded at the same time, please try again' });
+    }
+
     if (responseError) throw responseError;
 
-    // Update incident status
-    if (status) {
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.RESPONSE_ADDED,
+      actorId: req.user.id,
+      newValue: { response_id: response.id, response_type }
+    });
+
+    // Update incident status; the first response also stops the acknowledge SLA clock
+    const slaFields = {
+      ...acknowledgementSlaFields(current),
+      ...(status && status !== current.status ? statusChangeSlaFields(current, status) : {})
+    };
+
+    if (status || Object.keys(slaFields).length > 0) {
       const { error: updateError } = await supabaseAdmin
         .from('incidents')
         .update({ 
-          status,
+          ...(status && { status }),
+          ...slaFields,
           updated_at: new Date().toISOString()
         })
         .eq('id', incidentId);
@@ -292,6 +1191,17 @@ router.post('/:id/acknowledge', authenticateToken, authorizeRoles('superuser', '
       if (updateError) throw updateError;
     }
 
+    if (status && status !== current.status) {
+      await recordIncidentEvent({
+        incidentId,
+        eventType: INCIDENT_EVENTS.STATUS_CHANGED,
+        actorId: req.user.id,
+        oldValue: { status: current.status },
+        newValue: { status },
+        metadata: reason ? { reason } : {}
+      });
+    }
+
     res.json({
       message: 'Incident acknowledged successfully',
       response
@@ -302,20 +1212,54 @@ router.post('/:id/acknowledge', authenticateToken, authorizeRoles('superuser', '
   }
 });
 
-// Update incident status (Superuser and Admin only)
-router.patch('/:id/status', authenticateToken, authorizeRoles('superuser', 'admin'), async (req, res) => {
-  const { status } = req.body;
+// Update incident status (each transition checks its own permission)
+router.patch('/:id/status', authenticateToken, requirePermission('incident.status.update', 'incident.reopen.closed'), async (req, res) => {
+  const { status, reason } = req.body;
   const incidentId = req.params.id;
 
-  if (!['open', 'in-progress', 'closed'].includes(status)) {
+  if (!isValidStatus(status)) {
     return res.status(400).json({ error: 'Invalid status' });
   }
 
   try {
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, status, ${SCOPE_COLUMNS}, ${SLA_COLUMNS}`)
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .eq('is_draft', false)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, current)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (status === current.status) {
+      return res.status(400).json({ error: `Incident is already '${status}'` });
+    }
+
+    // Nothing but the reason is stored by this route, so investigation fields
+    // only count once they are recorded on a response
+    const fields = await gatherTransitionFields(incidentId, { reason });
+    const finalReport = await getFinalReport(incidentId);
+    const openActions = await getOpenMandatoryActions(incidentId);
+    const rejection = checkTransition({ from: current.status, to: status, user: req.user, fields, finalReport, openActions });
+    if (rejection) {
+      const { status: code, ...body } = rejection;
+      return res.status(code).json(body);
+    }
+
     const { data: incident, error } = await supabaseAdmin
       .from('incidents')
       .update({ 
         status,
+        ...statusChangeSlaFields(current, status),
         updated_at: new Date().toISOString()
       })
       .eq('id', incidentId)
@@ -324,6 +1268,15 @@ router.patch('/:id/status', authenticateToken, authorizeRoles('superuser', 'admi
 
     if (error) throw error;
 
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.STATUS_CHANGED,
+      actorId: req.user.id,
+      oldValue: { status: current.status },
+      newValue: { status },
+      metadata: reason ? { reason } : {}
+    });
+
     res.json({
       message: 'Incident status updated successfully',
       incident
@@ -334,39 +1287,158 @@ router.patch('/:id/status', authenticateToken, authorizeRoles('superuser', 'admi
   }
 });
 
-// Delete incident (Admin only)
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// Move an incident to the recycle bin. Files and rows are kept until the
+// retention job purges them after the grace period.
+router.delete('/:id', authenticateToken, requirePermission('incident.delete'), async (req, res) => {
   const incidentId = req.params.id;
+  const reason = req.body && req.body.reason;
 
   try {
-    // Get attachments to delete from storage
-    const { data: attachments } = await supabaseAdmin
-      .from('incident_attachments')
-      .select('file_url')
-      .eq('incident_id', incidentId);
+    const { data: incident, error: incidentError } = await supabaseAdmin
+      .from('incidents')
+      .select('id, user_id, subject, status, created_at')
+      .eq('id', incidentId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (incidentError) throw incidentError;
 
-    // Delete files from storage
-    if (attachments && attachments.length > 0) {
-      const filePaths = attachments.map(att => att.file_url);
-      await supabaseAdmin
-        .storage
-        .from('incident-attachments')
-        .remove(filePaths);
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
     }
 
-    // Delete incident (cascades to attachments and responses)
-    const { error } = await supabaseAdmin
+    const { data: deletedIncident, error } = await supabaseAdmin
       .from('incidents')
-      .delete()
-      .eq('id', incidentId);
+      .update({
+        deleted_at: new Date().toISOString(),
+        deleted_by: req.user.id,
+        delete_reason: reason || null
+      })
+      .eq('id', incidentId)
+      .select('id, deleted_at')
+      .single();
 
     if (error) throw error;
 
-    res.json({ message: 'Incident deleted successfully' });
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.DELETED,
+      actorId: req.user.id,
+      oldValue: incident,
+      metadata: reason ? { reason } : {}
+    });
+
+    res.json({
+      message: 'Incident moved to the recycle bin',
+      purge_after: purgeAfter(deletedIncident)
+    });
   } catch (error) {
     console.error('Error deleting incident:', error);
     res.status(500).json({ error: 'Failed to delete incident' });
   }
 });
 
-module.exports = { router, handleMulterError };
\ No newline at end of file
+// Bring an incident back from the recycle bin
+router.post('/:id/restore', authenticateToken, requirePermission('incident.restore'), async (req, res) => {
+  const incidentId = req.params.id;
+
+  try {
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .update({
+        deleted_at: null,
+        deleted_by: null,
+        delete_reason: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', incidentId)
+      .not('deleted_at', 'is', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found in the recycle bin' });
+    }
+
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.RESTORED,
+      actorId: req.user.id
+    });
+
+    res.json({
+      message: 'Incident restored successfully',
+      incident
+    });
+  } catch (error) {
+    console.error('Error restoring incident:', error);
+    res.status(500).json({ error: 'Failed to restore incident' });
+  }
+});
+
+// Place or lift a legal hold; held incidents are never purged
+router.put('/:id/legal-hold', authenticateToken, requirePermission('incident.legal_hold'), async (req, res) => {
+  const incidentId = req.params.id;
+  const { hold, reason } = req.body;
+
+  if (typeof hold !== 'boolean') {
+    return res.status(400).json({ error: 'hold must be a boolean' });
+  }
+
+  if (hold && !reason) {
+    return res.status(400).json({ error: 'A reason is required to place a legal hold' });
+  }
+
+  try {
+    const { data: current, error: currentError } = await supabaseAdmin
+      .from('incidents')
+      .select('id, legal_hold, legal_hold_reason')
+      .eq('id', incidentId)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (current.legal_hold === hold) {
+      return res.status(400).json({ error: hold ? 'Incident is already under legal hold' : 'Incident is not under legal hold' });
+    }
+
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .update({
+        legal_hold: hold,
+        legal_hold_reason: hold ? reason : null,
+        legal_hold_set_by: req.user.id,
+        legal_hold_set_at: new Date().toISOString()
+      })
+      .eq('id', incidentId)
+      .select('id, legal_hold, legal_hold_reason, legal_hold_set_by, legal_hold_set_at')
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId,
+      eventType: INCIDENT_EVENTS.LEGAL_HOLD_CHANGED,
+      actorId: req.user.id,
+      oldValue: { legal_hold: current.legal_hold, reason: current.legal_hold_reason },
+      newValue: { legal_hold: hold, reason: hold ? reason : null },
+      metadata: !hold && reason ? { release_reason: reason } : {}
+    });
+
+    res.json({
+      message: hold ? 'Legal hold placed' : 'Legal hold lifted',
+      incident
+    });
+  } catch (error) {
+    console.error('Error updating legal hold:', error);
+    res.status(500).json({ error: 'Failed to update legal hold' });
+  }
+});
+
+module.exports = { router };
\ No newline at end of file
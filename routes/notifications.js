@@ -0,0 +1,163 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken } = require('../middleware/auth');
+const { PREFERENCE_TYPES } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Get own notifications (newest first), optionally only unread ones
+router.get('/', authenticateToken, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 100);
+
+  try {
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.unread === 'true') {
+      query = query.is('read_at', null);
+    }
+
+    if (req.query.before) {
+      query = query.lt('created_at', req.query.before);
+    }
+
+    const { data: notifications, error } = await query;
+
+    if (error) throw error;
+
+    res.json(notifications);
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Unread badge count
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const { count, error } = await supabaseAdmin
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    if (error) throw error;
+
+    res.json({ unread: count || 0 });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+// Get own notification preferences (every type, defaults filled in)
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const { data: rows, error } = await supabaseAdmin
+      .from('notification_preferences')
+      .select('event_type, in_app, email')
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+
+    const preferences = PREFERENCE_TYPES.map(type => {
+      const row = rows.find(r => r.event_type === type);
+      return { event_type: type, in_app: row ? row.in_app : true, email: row ? row.email : true };
+    });
+
+    res.json(preferences);
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Update own notification preferences: [{ event_type, in_app, email }]
+router.put('/preferences', authenticateToken, async (req, res) => {
+  const preferences = req.body;
+
+  if (!Array.isArray(preferences)) {
+    return res.status(400).json({ error: 'Expected an array of preferences' });
+  }
+
+  for (const preference of preferences) {
+    if (!PREFERENCE_TYPES.includes(preference.event_type)) {
+      return res.status(400).json({ error: `Unknown notification type: ${preference.event_type}` });
+    }
+    if (typeof preference.in_app !== 'boolean' || typeof preference.email !== 'boolean') {
+      return res.status(400).json({ error: 'in_app and email must be booleans' });
+    }
+  }
+
+  try {
+    const { error } = await supabaseAdmin
+      .from('notification_preferences')
+      .upsert(preferences.map(preference => ({
+        user_id: req.user.id,
+        event_type: preference.event_type,
+        in_app: preference.in_app,
+        email: preference.email
+      })), { onConflict: 'user_id,event_type' });
+
+    if (error) throw error;
+
+    res.json({ message: 'Notification preferences updated successfully' });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Mark all own notifications as read
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    if (error) throw error;
+
+    res.json({ message: 'All notifications marked as read' });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark a notification as read or unread
+router.patch('/:id', authenticateToken, async (req, res) => {
+  const { read } = req.body;
+
+  if (typeof read !== 'boolean') {
+    return res.status(400).json({ error: 'read must be a boolean' });
+  }
+
+  try {
+    const { data: notification, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ read_at: read ? new Date().toISOString() : null })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
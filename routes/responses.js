@@ -0,0 +1,318 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { SCOPE_COLUMNS, canViewIncident } = require('../utils/incidentQuery');
+const { INCIDENT_EVENTS, recordIncidentEvent } = require('../utils/incidentEvents');
+const { pickResponseFields, recordResponseVersion } = require('../utils/incidentResponses');
+const { diffContent } = require('../utils/incidentEdits');
+const { hasPermission } = require('../utils/permissions');
+
+// Mounted at /api/incidents/:id/responses
+const router = express.Router({ mergeParams: true });
+
+// Responses can no longer change once the incident is closed
+const LOCKED_STATUSES = ['closed'];
+
+// Fetch the incident and check the caller may see it; sends the error response otherwise
+const loadIncident = async (req, res) => {
+  const { data: incident, error } = await supabaseAdmin
+    .from('incidents')
+    .select(`id, status, ${SCOPE_COLUMNS}`)
+    .eq('id', req.params.id)
+    .is('deleted_at', null)
+    .eq('is_draft', false)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!incident) {
+    res.status(404).json({ error: 'Incident not found' });
+    return null;
+  }
+
+  if (!canViewIncident(req.user, incident)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return incident;
+};
+
+const loadResponse = async (req, res) => {
+  const { data: response, error } = await supabaseAdmin
+    .from('incident_responses')
+    .select('*')
+    .eq('id', req.params.responseId)
+    .eq('incident_id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!response) {
+    res.status(404).json({ error: 'Response not found' });
+    return null;
+  }
+
+  return response;
+};
+
+// Responses of an incident in the order they were recorded
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const { data: responses, error } = await supabaseAdmin
+      .from('incident_responses')
+      .select(`
+        *,
+        responder:users!incident_responses_acknowledged_by_fkey(id, username, department),
+        approver:users!incident_responses_approved_by_fkey(id, username)
+      `)
+      .eq('incident_id', incident.id)
+      .order('sequence', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json(responses);
+  } catch (error) {
+    console.error('Error fetching responses:', error);
+    res.status(500).json({ error: 'Failed to fetch responses' });
+  }
+});
+
+// Earlier versions of a response, oldest first
+router.get('/:responseId/versions', authenticateToken, async (req, res) => {
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const response = await loadResponse(req, res);
+    if (!response) return;
+
+    const { data: versions, error } = await supabaseAdmin
+      .from('incident_response_versions')
+      .select('*, editor:users!incident_response_versions_edited_by_fkey(id, username)')
+      .eq('response_id', response.id)
+      .order('version', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ response_id: response.id, versions });
+  } catch (error) {
+    console.error('Error fetching response versions:', error);
+    res.status(500).json({ error: 'Failed to fetch response versions' });
+  }
+});
+
+// Correct a response. Its author may edit it, as may holders of
+// incident.response.edit.any; editing a final report sends it back for sign-off.
+router.patch('/:responseId', authenticateToken, requirePermission('incident.acknowledge', 'incident.response.edit.any'), async (req, res) => {
+  const fields = pickResponseFields(req.body);
+
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const response = await loadResponse(req, res);
+    if (!response) return;
+
+    if (response.acknowledged_by !== req.user.id && !hasPermission(req.user, 'incident.response.edit.any')) {
+      return res.status(403).json({ error: 'You can only edit your own responses' });
+    }
+
+    if (LOCKED_STATUSES.includes(incident.status)) {
+      return res.status(409).json({ error: `Responses cannot be edited while the incident is '${incident.status}'` });
+    }
+
+    const changes = diffContent(response, fields);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No changes' });
+    }
+
+    const resetsSignOff = response.response_type === 'final' && response.approval_status !== 'pending';
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('incident_responses')
+      .update({
+        ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+        ...(resetsSignOff && {
+          approval_status: 'pending',
+          approved_by: null,
+          approved_at: null,
+          approval_note: null,
+          reporter_confirmed: null,
+          reporter_confirmed_at: null,
+          reporter_feedback: null
+        }),
+        updated_at: new Date().toISOString(),
+        updated_by: req.user.id
+      })
+      .eq('id', response.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const version = await recordResponseVersion({ responseId: response.id, changes, editorId: req.user.id });
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.RESPONSE_EDITED,
+      actorId: req.user.id,
+      newValue: { response_id: response.id, version: version.version, fields: Object.keys(changes) },
+      metadata: resetsSignOff ? { sign_off_reset: true } : {}
+    });
+
+    res.json({
+      message: resetsSignOff
+        ? 'Response updated; the final report needs to be approved again'
+        : 'Response updated successfully',
+      response: updated
+    });
+  } catch (error) {
+    console.error('Error updating response:', error);
+    res.status(500).json({ error: 'Failed to update response' });
+  }
+});
+
+// Approve or reject the final report
+router.post('/:responseId/approval', authenticateToken, requirePermission('incident.response.approve'), async (req, res) => {
+  const { decision, note } = req.body;
+
+  if (!['approved', 'rejected'].includes(decision)) {
+    return res.status(400).json({ error: "decision must be 'approved' or 'rejected'" });
+  }
+
+  if (decision === 'rejected' && (!note || !String(note).trim())) {
+    return res.status(400).json({ error: 'A note is required when rejecting a report' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    const response = await loadResponse(req, res);
+    if (!response) return;
+
+    if (response.response_type !== 'final') {
+      return res.status(400).json({ error: 'Only the final report needs sign-off' });
+    }
+
+    // Sign-off has to come from someone other than the report's author or
+    // whoever last edited it
+    if (response.acknowledged_by === req.user.id || response.updated_by === req.user.id) {
+      return res.status(403).json({ error: 'You cannot review your own final report' });
+    }
+
+    if (response.approval_status !== 'pending') {
+      return res.status(409).json({ error: `The final report is already ${response.approval_status}` });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('incident_responses')
+      .update({
+        approval_status: decision,
+        approved_by: req.user.id,
+        approved_at: new Date().toISOString(),
+        approval_note: note ? String(note).trim() : null
+      })
+      .eq('id', response.id)
+      .eq('approval_status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Someone else decided in the meantime
+    if (!updated) {
+      return res.status(409).json({ error: 'The final report has already been reviewed' });
+    }
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.REPORT_REVIEWED,
+      actorId: req.user.id,
+      newValue: { response_id: response.id, decision },
+      metadata: note ? { note: String(note).trim() } : {}
+    });
+
+    res.json({
+      message: decision === 'approved' ? 'Final report approved' : 'Final report rejected',
+      response: updated
+    });
+  } catch (error) {
+    console.error('Error reviewing final report:', error);
+    res.status(500).json({ error: 'Failed to review final report' });
+  }
+});
+
+// The reporter confirms whether the approved corrective actions resolved
+// their issue
+router.post('/:responseId/confirmation', authenticateToken, async (req, res) => {
+  const { resolved, feedback } = req.body;
+
+  if (typeof resolved !== 'boolean') {
+    return res.status(400).json({ error: 'resolved must be true or false' });
+  }
+
+  if (!resolved && (!feedback || !String(feedback).trim())) {
+    return res.status(400).json({ error: 'Feedback is required when the issue is not resolved' });
+  }
+
+  try {
+    const incident = await loadIncident(req, res);
+    if (!incident) return;
+
+    if (incident.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the reporter can confirm the resolution' });
+    }
+
+    const response = await loadResponse(req, res);
+    if (!response) return;
+
+    if (response.response_type !== 'final' || response.approval_status !== 'approved') {
+      return res.status(409).json({ error: 'Only an approved final report can be confirmed' });
+    }
+
+    if (response.reporter_confirmed_at) {
+      return res.status(409).json({ error: 'The resolution has already been confirmed' });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('incident_responses')
+      .update({
+        reporter_confirmed: resolved,
+        reporter_confirmed_at: new Date().toISOString(),
+        reporter_feedback: feedback ? String(feedback).trim() : null
+      })
+      .eq('id', response.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordIncidentEvent({
+      incidentId: incident.id,
+      eventType: INCIDENT_EVENTS.RESOLUTION_CONFIRMED,
+      actorId: req.user.id,
+      newValue: { response_id: response.id, resolved },
+      metadata: feedback ? { feedback: String(feedback).trim() } : {}
+    });
+
+    res.json({
+      message: resolved ? 'Resolution confirmed' : 'Feedback recorded',
+      response: updated
+    });
+  } catch (error) {
+    console.error('Error confirming resolution:', error);
+    res.status(500).json({ error: 'Failed to confirm resolution' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
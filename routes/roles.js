@@ -0,0 +1,172 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const config = require('../config/permissions');
+const { loadRoles, invalidateRoles, getRole } = require('../utils/permissions');
+
+const router = express.Router();
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Returns an error message for an invalid permissions list, or null
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array';
+  }
+  const unknown = permissions.filter(permission => !config.permissions[permission]);
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+// Role definitions and the permission catalogue
+router.get('/', authenticateToken, requirePermission('role.manage', 'user.create', 'user.update'), async (req, res) => {
+  try {
+    const roles = await loadRoles();
+
+    res.json({
+      roles: [...roles.values()],
+      permissions: Object.entries(config.permissions).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+// Create a role
+router.post('/', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  const { role, description, permissions } = req.body;
+
+  if (!role || !ROLE_NAME_PATTERN.test(role)) {
+    return res.status(400).json({ error: 'Role name must be 2-32 lowercase letters, digits, - or _' });
+  }
+
+  const permissionsError = validatePermissions(permissions);
+  if (permissionsError) {
+    return res.status(400).json({ error: permissionsError });
+  }
+
+  try {
+    if (await getRole(role)) {
+      return res.status(409).json({ error: 'Role already exists' });
+    }
+
+    const { data: definition, error } = await supabaseAdmin
+      .from('role_definitions')
+      .insert({
+        role,
+        description: description || null,
+        permissions: [...new Set(permissions)],
+        updated_by: req.user.id
+      })
+      .select('role, description, permissions')
+      .single();
+
+    if (error) throw error;
+
+    invalidateRoles();
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: { ...definition, is_system: false }
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+// Update a role's description or permissions (built-in roles included)
+router.put('/:role', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  const { description, permissions } = req.body;
+
+  if (typeof permissions !== 'undefined') {
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) {
+      return res.status(400).json({ error: permissionsError });
+    }
+  }
+
+  try {
+    const current = await getRole(req.params.role);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const nextPermissions = typeof permissions !== 'undefined' ? [...new Set(permissions)] : current.permissions;
+
+    // Editing roles must stay possible for someone
+    if (current.role === req.user.role && !nextPermissions.includes('role.manage')) {
+      return res.status(409).json({ error: 'You cannot remove role.manage from your own role' });
+    }
+
+    const { data: definition, error } = await supabaseAdmin
+      .from('role_definitions')
+      .upsert({
+        role: current.role,
+        description: typeof description !== 'undefined' ? description || null : current.description,
+        permissions: nextPermissions,
+        updated_by: req.user.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'role' })
+      .select('role, description, permissions')
+      .single();
+
+    if (error) throw error;
+
+    invalidateRoles();
+
+    res.json({
+      message: 'Role updated successfully',
+      role: { ...definition, is_system: current.is_system }
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Delete a custom role that no user holds
+router.delete('/:role', authenticateToken, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const current = await getRole(req.params.role);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (current.is_system) {
+      return res.status(409).json({ error: 'Built-in roles cannot be deleted' });
+    }
+
+    const { count, error: countError } = await supabaseAdmin
+      .from('users')
+      .select('id', { count: 'exact', head: true })
+      .eq('role', current.role);
+
+    if (countError) throw countError;
+
+    if (count > 0) {
+      return res.status(409).json({ error: `Role is still held by ${count} user(s)` });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('role_definitions')
+      .delete()
+      .eq('role', current.role);
+
+    if (error) throw error;
+
+    invalidateRoles();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,202 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const classification = require('../config/taxonomies');
+const { hasPermission } = require('../utils/permissions');
+const { ENTRY_COLUMNS, normalizeKey, isTaxonomy, taxonomyColumns, listEntries, matchEntry } = require('../utils/taxonomies');
+
+const router = express.Router();
+
+const cleanAliases = (aliases) => {
+  return [...new Set((aliases || []).map(alias => String(alias).trim()).filter(Boolean))];
+};
+
+// Reject unknown taxonomies for every route below that takes one
+router.param('taxonomy', (req, res, next, taxonomy) => {
+  if (!isTaxonomy(taxonomy)) {
+    return res.status(404).json({ error: `Unknown taxonomy: ${taxonomy}` });
+  }
+  next();
+});
+
+// Every lookup list with its active entries, plus the severity and priority scales
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const lists = {};
+    for (const taxonomy of Object.keys(classification.taxonomies)) {
+      lists[taxonomy] = await listEntries(taxonomy);
+    }
+
+    res.json({
+      ...lists,
+      severity_levels: classification.severityLevels,
+      priority_levels: classification.priorityLevels
+    });
+  } catch (error) {
+    console.error('Error fetching taxonomies:', error);
+    res.status(500).json({ error: 'Failed to fetch taxonomies' });
+  }
+});
+
+// Entries of one taxonomy (taxonomy managers can include deactivated ones)
+router.get('/:taxonomy', authenticateToken, async (req, res) => {
+  const includeInactive = req.query.include_inactive === 'true' && hasPermission(req.user, 'taxonomy.manage');
+
+  try {
+    const entries = await listEntries(req.params.taxonomy, { includeInactive });
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching taxonomy entries:', error);
+    res.status(500).json({ error: 'Failed to fetch taxonomy entries' });
+  }
+});
+
+// Add an entry
+router.post('/:taxonomy', authenticateToken, requirePermission('taxonomy.manage'), async (req, res) => {
+  const { taxonomy } = req.params;
+  const { code, description, aliases } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim().replace(/\s+/g, ' ') : '';
+
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  if (typeof aliases !== 'undefined' && !Array.isArray(aliases)) {
+    return res.status(400).json({ error: 'aliases must be an array' });
+  }
+
+  try {
+    // Names and aliases must be unambiguous across the whole taxonomy
+    const entries = await listEntries(taxonomy, { includeInactive: true });
+    const clash = [name, ...cleanAliases(aliases)].find(value => matchEntry(entries, value));
+    if (clash) {
+      return res.status(409).json({ error: `'${clash}' is already used by another entry` });
+    }
+
+    const { data: entry, error } = await supabaseAdmin
+      .from('taxonomy_entries')
+      .insert({
+        taxonomy,
+        name,
+        code: code || null,
+        description: description || null,
+        aliases: cleanAliases(aliases),
+        is_active: true,
+        created_by: req.user.id
+      })
+      .select(ENTRY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      message: 'Entry created successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Error creating taxonomy entry:', error);
+    res.status(500).json({ error: 'Failed to create taxonomy entry' });
+  }
+});
+
+// Update an entry. Renaming rewrites the stored values that use
+// the old name and keeps the old name as an alias.
+router.put('/:taxonomy/:id', authenticateToken, requirePermission('taxonomy.manage'), async (req, res) => {
+  const { taxonomy, id } = req.params;
+  const { code, description, aliases, is_active } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim().replace(/\s+/g, ' ') : undefined;
+
+  if (name === '') {
+    return res.status(400).json({ error: 'Name cannot be empty' });
+  }
+
+  if (typeof aliases !== 'undefined' && !Array.isArray(aliases)) {
+    return res.status(400).json({ error: 'aliases must be an array' });
+  }
+
+  try {
+    const entries = await listEntries(taxonomy, { includeInactive: true });
+    const entry = entries.find(candidate => candidate.id === id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+
+    const renamed = name && name !== entry.name;
+    const nextAliases = cleanAliases([
+      ...(typeof aliases !== 'undefined' ? aliases : entry.aliases),
+      ...(renamed ? [entry.name] : [])
+    ]).filter(alias => normalizeKey(alias) !== normalizeKey(name || entry.name));
+
+    const others = entries.filter(candidate => candidate.id !== id);
+    const clash = [name || entry.name, ...nextAliases].find(value => matchEntry(others, value));
+    if (clash) {
+      return res.status(409).json({ error: `'${clash}' is already used by another entry` });
+    }
+
+    const updateData = { aliases: nextAliases, updated_at: new Date().toISOString() };
+    if (renamed) updateData.name = name;
+    if (typeof code !== 'undefined') updateData.code = code || null;
+    if (typeof description !== 'undefined') updateData.description = description || null;
+    if (typeof is_active === 'boolean') updateData.is_active = is_active;
+
+    const { data: updatedEntry, error } = await supabaseAdmin
+      .from('taxonomy_entries')
+      .update(updateData)
+      .eq('id', id)
+      .select(ENTRY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    if (renamed) {
+      for (const { table, column } of taxonomyColumns(taxonomy)) {
+        const { error: renameError } = await supabaseAdmin
+          .from(table)
+          .update({ [column]: name })
+          .eq(column, entry.name);
+
+        if (renameError) throw renameError;
+      }
+    }
+
+    res.json({
+      message: 'Entry updated successfully',
+      entry: updatedEntry
+    });
+  } catch (error) {
+    console.error('Error updating taxonomy entry:', error);
+    res.status(500).json({ error: 'Failed to update taxonomy entry' });
+  }
+});
+
+// Deactivate an entry. Existing records keep the value, but it
+// can no longer be chosen.
+router.delete('/:taxonomy/:id', authenticateToken, requirePermission('taxonomy.manage'), async (req, res) => {
+  try {
+    const { data: entry, error } = await supabaseAdmin
+      .from('taxonomy_entries')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('taxonomy', req.params.taxonomy)
+      .select(ENTRY_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+
+    res.json({
+      message: 'Entry deactivated successfully',
+      entry
+    });
+  } catch (error) {
+    console.error('Error deactivating taxonomy entry:', error);
+    res.status(500).json({ error: 'Failed to deactivate taxonomy entry' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
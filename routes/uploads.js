@@ -0,0 +1,253 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { quotaFor } = require('../config/uploads');
+const { authenticateToken } = require('../middleware/auth');
+const { SCOPE_COLUMNS, canViewIncident } = require('../utils/incidentQuery');
+const { hasPermission } = require('../utils/permissions');
+const { checkIncidentQuota, saveIncidentAttachments } = require('../utils/attachments');
+const { createUpload, getUpload, appendChunk, removeUpload } = require('../utils/resumableUploads');
+
+// tus 1.0.0 resumable uploads for incident attachments (core protocol plus
+// the creation, termination and expiration extensions). Chunks are streamed
+// to disk; once complete the file is streamed to storage as an attachment.
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+
+// Uploads currently receiving a PATCH, to refuse concurrent writes
+const activeUploads = new Set();
+
+const setTusHeaders = (res) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+// Upload-Metadata: comma-separated "key base64value" pairs
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  return metadata;
+};
+
+const requireTusVersion = (req, res, next) => {
+  setTusHeaders(res);
+  if (req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).end();
+  }
+  next();
+};
+
+// Load the upload and check it belongs to the caller
+const loadUpload = async (req, res) => {
+  const upload = await getUpload(req.params.uploadId);
+
+  if (!upload || upload.user_id !== req.user.id) {
+    res.status(404).end();
+    return null;
+  }
+
+  return upload;
+};
+
+// Move a completed upload into storage as an incident attachment
+const finalizeUpload = async (upload, user) => {
+  const { attachments, uploadErrors } = await saveIncidentAttachments(upload.incident_id, [{
+    path: upload.path,
+    originalname: upload.filename,
+    mimetype: upload.filetype,
+    size: upload.length
+  }], user.id);
+
+  if (uploadErrors.length > 0) {
+    throw new Error(uploadErrors.join(', '));
+  }
+
+  await removeUpload(upload.id);
+
+  return attachments[0];
+};
+
+// Server capabilities
+router.options('/', (req, res) => {
+  setTusHeaders(res);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', 'creation,termination,expiration');
+  res.status(204).end();
+});
+
+// Create an upload. Metadata must include incident_id, filename and filetype.
+router.post('/', authenticateToken, requireTusVersion, async (req, res) => {
+  const length = parseInt(req.headers['upload-length'], 10);
+  const { incident_id, filename, filetype } = parseMetadata(req.headers['upload-metadata']);
+
+  if (isNaN(length) || length < 0) {
+    return res.status(400).json({ error: 'Upload-Length header is required' });
+  }
+
+  if (!incident_id || !filename || !filetype) {
+    return res.status(400).json({ error: 'Upload-Metadata must include incident_id, filename and filetype' });
+  }
+
+  if (!filetype.startsWith('image/') && !filetype.startsWith('video/')) {
+    return res.status(400).json({ error: 'Only image and video files are allowed' });
+  }
+
+  const { maxFileSize } = quotaFor(req.user.role);
+  res.setHeader('Tus-Max-Size', maxFileSize);
+  if (length > maxFileSize) {
+    return res.status(413).json({ error: 'File exceeds the size limit for your role' });
+  }
+
+  try {
+    const { data: incident, error } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, status, ${SCOPE_COLUMNS}`)
+      .eq('id', incident_id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!incident) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    if (!canViewIncident(req.user, incident)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (incident.status === 'closed' && !hasPermission(req.user, 'incident.attach.closed')) {
+      return res.status(400).json({ error: 'Cannot add attachments to a closed incident' });
+    }
+
+    const quotaError = await checkIncidentQuota(incident.id, req.user.role, length);
+    if (quotaError) {
+      return res.status(413).json({ error: quotaError });
+    }
+
+    const upload = await createUpload({
+      userId: req.user.id,
+      incidentId: incident.id,
+      filename,
+      filetype,
+      length
+    });
+
+    res.setHeader('Location', `${req.baseUrl}/${upload.id}`);
+    res.setHeader('Upload-Expires', new Date(upload.expires_at).toUTCString());
+    res.status(201).end();
+  } catch (error) {
+    console.error('Error creating resumable upload:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+// Current offset, used by clients to resume
+router.head('/:uploadId', authenticateToken, requireTusVersion, async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    res.setHeader('Upload-Offset', upload.offset);
+    res.setHeader('Upload-Length', upload.length);
+    res.setHeader('Upload-Expires', new Date(upload.expires_at).toUTCString());
+    res.status(200).end();
+  } catch (error) {
+    console.error('Error fetching resumable upload:', error);
+    res.status(500).end();
+  }
+});
+
+// Append a chunk at the current offset
+router.patch('/:uploadId', authenticateToken, requireTusVersion, async (req, res) => {
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const offset = parseInt(req.headers['upload-offset'], 10);
+  if (isNaN(offset)) {
+    return res.status(400).json({ error: 'Upload-Offset header is required' });
+  }
+
+  if (activeUploads.has(req.params.uploadId)) {
+    return res.status(423).json({ error: 'Upload is already receiving data' });
+  }
+
+  activeUploads.add(req.params.uploadId);
+
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    if (offset !== upload.offset) {
+      res.setHeader('Upload-Offset', upload.offset);
+      return res.status(409).json({ error: 'Upload-Offset does not match the current offset' });
+    }
+
+    let newOffset = upload.offset;
+    if (upload.offset < upload.length) {
+      try {
+        newOffset = await appendChunk(upload, req);
+      } catch (streamError) {
+        if (streamError.message === 'UPLOAD_LENGTH_EXCEEDED') {
+          return res.status(413).json({ error: 'Chunk exceeds the declared Upload-Length' });
+        }
+        // Connection dropped mid-chunk: what arrived is kept for the next resume
+        console.error('Resumable upload interrupted:', streamError.message);
+        if (!res.headersSent && !req.destroyed) res.status(500).end();
+        return;
+      }
+    }
+
+    res.setHeader('Upload-Offset', newOffset);
+    res.setHeader('Upload-Expires', new Date(upload.expires_at).toUTCString());
+
+    // Complete: hand the file over to storage. If that fails the staged data
+    // is kept, and an empty PATCH at the final offset retries it.
+    if (newOffset === upload.length) {
+      // Other uploads to the incident may have finished since this one was
+      // created, so the quota is checked again
+      const quotaError = await checkIncidentQuota(upload.incident_id, req.user.role, upload.length);
+      if (quotaError) {
+        await removeUpload(upload.id);
+        return res.status(413).json({ error: quotaError });
+      }
+
+      const attachment = await finalizeUpload({ ...upload, offset: newOffset }, req.user);
+      res.setHeader('Upload-Attachment-Id', attachment.id);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error receiving resumable upload:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to process upload' });
+  } finally {
+    activeUploads.delete(req.params.uploadId);
+  }
+});
+
+// Abandon an upload
+router.delete('/:uploadId', authenticateToken, requireTusVersion, async (req, res) => {
+  try {
+    const upload = await loadUpload(req, res);
+    if (!upload) return;
+
+    await removeUpload(upload.id);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting resumable upload:', error);
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,23 +1,211 @@
 const express = require('express');
 const { supabaseAdmin } = require('../config/supabase');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { jsonBodyLimit } = require('../config/uploads');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { revokeAllUserSessions } = require('../utils/sessions');
+const { clearLockout, listIpLockouts, clearIpLockout } = require('../utils/loginThrottle');
+const { resolveEntryName } = require('../utils/taxonomies');
+const { getRole, hasPermission, checkManageable } = require('../utils/permissions');
+const {
+  parsePagination,
+  applyCursor,
+  buildPage,
+  quoteFilterValue,
+  escapeLike
+} = require('../utils/incidentQuery');
+const { MAX_IMPORT_ROWS, readImportRows, validateImportRows, createImportedUser } = require('../utils/userImport');
+const {
+  validatePassword,
+  verifyPassword,
+  setPassword,
+  createResetToken
+} = require('../utils/passwords');
 
 const router = express.Router();
 
-// Get all users (Admin and Superuser only)
-router.get('/', authenticateToken, authorizeRoles('admin', 'superuser'), async (req, res) => {
+// Without user.manage.admin, users are only listed and managed within the
+// caller's own department (see checkManageable)
+const managesAllUsers = (user) => hasPermission(user, 'user.manage.admin');
+
+// Fetch the user named in the route and check the caller may manage them;
+// sends the error response otherwise
+const loadManagedUser = async (req, res) => {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('id, username, role, department')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  const denied = await checkManageable(req.user, user);
+  if (denied) {
+    res.status(403).json({ error: denied });
+    return null;
+  }
+
+  return user;
+};
+
+// Bulk actions and the account changes they make
+const BULK_ACTIONS = {
+  archive: () => ({ is_active: false }),
+  reactivate: () => ({ is_active: true }),
+  set_department: ({ department }) => ({ department }),
+  set_role: ({ role }) => ({ role })
+};
+
+const MAX_BULK_USERS = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Apply users list filters: search (username or email), role and department
+// (comma lists) and is_active; returns { query } or { error }
+const applyUserFilters = (query, params) => {
+  if (params.search) {
+    const search = String(params.search).trim();
+    if (search) {
+      const pattern = quoteFilterValue(`%${escapeLike(search)}%`);
+      query = query.or(`username.ilike.${pattern},email.ilike.${pattern}`);
+    }
+  }
+
+  for (const field of ['role', 'department']) {
+    if (params[field]) {
+      query = query.in(field, String(params[field]).split(',').map(s => s.trim()).filter(Boolean));
+    }
+  }
+
+  if (typeof params.is_active !== 'undefined') {
+    if (!['true', 'false'].includes(params.is_active)) {
+      return { error: 'Invalid is_active, expected true or false' };
+    }
+    query = query.eq('is_active', params.is_active === 'true');
+  }
+
+  return { query };
+};
+
+// Get users, newest first, with search, filters and cursor pagination
+// (department-scoped without user.manage.admin)
+router.get('/', authenticateToken, requirePermission('user.read'), async (req, res) => {
+  const { pagination, error: paginationError } = parsePagination(req.query);
+  if (paginationError) {
+    return res.status(400).json({ error: paginationError });
+  }
+
+  try {
+    const scope = (query) => (managesAllUsers(req.user) ? query : query.eq('department', req.user.department));
+
+    const { query, error: filterError } = applyUserFilters(
+      scope(supabaseAdmin
+        .from('users')
+        .select('id, username, role, department, email, is_active, created_at')
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(pagination.limit + 1)),
+      req.query
+    );
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { query: countQuery } = applyUserFilters(
+      scope(supabaseAdmin.from('users').select('id', { count: 'exact', head: true })),
+      req.query
+    );
+
+    const { count, error: countError } = await countQuery;
+
+    if (countError) throw countError;
+
+    const { data: rows, error } = await applyCursor(query, pagination.cursor);
+
+    if (error) throw error;
+
+    const { items, pagination: page } = buildPage(rows, pagination.limit, count || 0);
+
+    res.json({ users: items, pagination: page });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// List currently locked accounts
+router.get('/locked', authenticateToken, requirePermission('user.security'), async (req, res) => {
   try {
     const { data: users, error } = await supabaseAdmin
       .from('users')
-      .select('id, username, role, department, is_active, created_at')
-      .order('created_at', { ascending: false });
+      .select('id, username, role, department, locked_until, failed_login_attempts')
+      .gt('locked_until', new Date().toISOString())
+      .order('locked_until', { ascending: false });
 
     if (error) throw error;
 
     res.json(users);
   } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    console.error('Error fetching locked users:', error);
+    res.status(500).json({ error: 'Failed to fetch locked users' });
+  }
+});
+
+// List IP addresses locked out after too many failed logins
+router.get('/locked-ips', authenticateToken, requirePermission('user.security'), (req, res) => {
+  res.json(listIpLockouts());
+});
+
+// Clear an IP lockout
+router.post('/locked-ips/:ip/unlock', authenticateToken, requirePermission('user.security'), (req, res) => {
+  if (!clearIpLockout(req.params.ip)) {
+    return res.status(404).json({ error: 'No lockout for this IP address' });
+  }
+
+  res.json({ message: 'IP address unlocked successfully' });
+});
+
+// Change own password (any authenticated user)
+router.post('/me/password', authenticateToken, async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+
+  if (current_password === new_password) {
+    return res.status(400).json({ error: 'New password must differ from the current password' });
+  }
+
+  const passwordErrors = validatePassword(new_password, { username: req.user.username });
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({ error: 'Password does not meet requirements', details: passwordErrors });
+  }
+
+  try {
+    if (!(await verifyPassword(req.user.username, current_password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await setPassword(req.user.id, new_password);
+
+    // Keep this session, sign out everywhere else
+    const revoked = await revokeAllUserSessions(req.user.id, 'password_changed', {
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      message: 'Password changed successfully',
+      revoked_sessions: revoked
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
   }
 });
 
@@ -26,14 +214,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { data: user, error } = await supabaseAdmin
       .from('users')
-      .select('id, username, role, department, is_active, created_at')
+      .select('id, username, role, department, email, is_active, created_at')
       .eq('id', req.params.id)
       .single();
 
     if (error) throw error;
 
-    // Users can only view their own profile unless admin/superuser
-    if (req.user.id !== user.id && !['admin', 'superuser'].includes(req.user.role)) {
+    // Users can only view their own profile unless they may read users
+    // (of their own department without user.manage.admin)
+    const canRead = hasPermission(req.user, 'user.read') &&
+      (managesAllUsers(req.user) || user.department === req.user.department);
+    if (req.user.id !== user.id && !canRead) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -44,20 +235,29 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Create user (Admin and Superuser only)
-router.post('/', authenticateToken, authorizeRoles('admin', 'superuser'), async (req, res) => {
-  const { username, password, role, department } = req.body;
+// Create user
+router.post('/', authenticateToken, requirePermission('user.create'), rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => req.user.id
+}), async (req, res) => {
+  const { username, password, role, department, email } = req.body;
 
   // Validate input
   if (!username || !password || !role || !department) {
     return res.status(400).json({ error: 'All fields are required' });
   }
 
-  if (!['admin', 'superuser', 'user'].includes(role)) {
-    return res.status(400).json({ error: 'Invalid role' });
+  const passwordErrors = validatePassword(password, { username });
+  if (passwordErrors.length > 0) {
+    return res.status(400).json({ error: 'Password does not meet requirements', details: passwordErrors });
   }
 
   try {
+    if (!(await getRole(role))) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
     // Check if username already exists
     const { data: existingUser } = await supabaseAdmin
       .from('users')
@@ -69,18 +269,38 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'superuser'), async
       return res.status(409).json({ error: 'Username already exists' });
     }
 
+    const departmentName = await resolveEntryName('departments', department);
+    if (!departmentName) {
+      return res.status(400).json({ error: `Unknown department: ${department}` });
+    }
+
+    const denied = await checkManageable(req.user, { role, department: departmentName });
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
     // Insert new user (password will be hashed by database trigger)
     const { data: newUser, error } = await supabaseAdmin
       .rpc('create_user', {
         p_username: username,
         p_password: password,
         p_role: role,
-        p_department: department,
+        p_department: departmentName,
         p_created_by: req.user.id
       });
 
     if (error) throw error;
 
+    // Notification address is optional and not part of create_user
+    if (email) {
+      const { error: emailError } = await supabaseAdmin
+        .from('users')
+        .update({ email })
+        .eq('username', username);
+
+      if (emailError) throw emailError;
+    }
+
     res.status(201).json({
       message: 'User created successfully',
       user: newUser
@@ -91,23 +311,209 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'superuser'), async
   }
 });
 
-// Update user (Admin only)
-router.put('/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
-  const { username, role, department, is_active } = req.body;
+// Import users from CSV (text/csv with a header line) or JSON ({ users: [...] }).
+// Every row is validated first; with dry_run=true nothing is created, otherwise
+// the valid rows are created and the report says what happened to each row.
+router.post('/import', authenticateToken, requirePermission('user.create'), rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => req.user.id
+}), express.text({ type: 'text/csv', limit: jsonBodyLimit }), async (req, res) => {
+  const dryRun = req.query.dry_run === 'true' || (req.body && req.body.dry_run === true);
+
+  const { rows, error: readError } = readImportRows(req.body);
+  if (readError) {
+    return res.status(400).json({ error: readError });
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({ error: 'No rows to import' });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+  }
+
+  try {
+    const validated = await validateImportRows(rows, req.user);
+    const results = [];
+
+    for (const { row, values, errors } of validated) {
+      if (errors.length > 0) {
+        results.push({ row, username: values.username, status: 'invalid', errors });
+      } else if (dryRun) {
+        results.push({ row, username: values.username, status: 'valid' });
+      } else {
+        try {
+          const created = await createImportedUser(values, req.user);
+          results.push({ row, username: values.username, status: 'created', ...created });
+        } catch (error) {
+          console.error(`Error importing user ${values.username}:`, error);
+          results.push({ row, username: values.username, status: 'failed', errors: ['Failed to create user'] });
+        }
+      }
+    }
+
+    const summary = { total: results.length };
+    for (const { status } of results) {
+      summary[status] = (summary[status] || 0) + 1;
+    }
+
+    res.json({ dry_run: dryRun, summary, results });
+  } catch (error) {
+    console.error('Error importing users:', error);
+    res.status(500).json({ error: 'Failed to import users' });
+  }
+});
+
+// Archive, reactivate, or change the department or role of several users at
+// once. Each user is checked like a single update; the report lists the result
+// per user.
+router.post('/bulk', authenticateToken, requirePermission('user.update'), async (req, res) => {
+  const { action, user_ids } = req.body;
+
+  if (!BULK_ACTIONS[action]) {
+    return res.status(400).json({ error: `Invalid action, expected one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+  }
+
+  if (!Array.isArray(user_ids) || user_ids.length === 0) {
+    return res.status(400).json({ error: 'user_ids must be a non-empty array' });
+  }
+
+  if (user_ids.length > MAX_BULK_USERS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_USERS} users can be changed at once` });
+  }
+
+  try {
+    let { role, department } = req.body;
+
+    if (action === 'set_role' && !(role && (await getRole(role)))) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+
+    if (action === 'set_department') {
+      const departmentName = department && (await resolveEntryName('departments', department));
+      if (!departmentName) {
+        return res.status(400).json({ error: `Unknown department: ${department}` });
+      }
+      department = departmentName;
+    }
+
+    const changes = BULK_ACTIONS[action]({ role, department });
+    const ids = [...new Set(user_ids.map(String))];
+
+    // A malformed id would fail the whole lookup, so only well-formed ids are queried
+    const validIds = ids.filter(id => UUID_PATTERN.test(id));
+
+    const { data: users, error: usersError } = validIds.length > 0
+      ? await supabaseAdmin
+        .from('users')
+        .select('id, username, role, department, is_active')
+        .in('id', validIds)
+      : { data: [], error: null };
+
+    if (usersError) throw usersError;
+
+    const byId = new Map(users.map(user => [user.id, user]));
+    const results = [];
+
+    for (const id of ids) {
+      if (!UUID_PATTERN.test(id)) {
+        results.push({ id, status: 'failed', error: 'Invalid user id' });
+        continue;
+      }
+
+      const user = byId.get(id);
+      if (!user) {
+        results.push({ id, status: 'failed', error: 'User not found' });
+        continue;
+      }
+
+      // Callers cannot archive themselves or change their own role
+      if (user.id === req.user.id && (action === 'archive' || action === 'set_role')) {
+        results.push({ id, username: user.username, status: 'failed', error: 'Cannot apply this action to your own account' });
+        continue;
+      }
+
+      // The account must be manageable before and after the change
+      const denied = await checkManageable(req.user, user) ||
+        await checkManageable(req.user, { ...user, ...changes });
+      if (denied) {
+        results.push({ id, username: user.username, status: 'failed', error: denied });
+        continue;
+      }
+
+      if (Object.entries(changes).every(([field, value]) => user[field] === value)) {
+        results.push({ id, username: user.username, status: 'unchanged' });
+        continue;
+      }
+
+      const { error } = await supabaseAdmin
+        .from('users')
+        .update(changes)
+        .eq('id', id);
+
+      if (error) {
+        console.error(`Error applying ${action} to user ${id}:`, error);
+        results.push({ id, username: user.username, status: 'failed', error: 'Failed to update user' });
+        continue;
+      }
+
+      results.push({ id, username: user.username, status: 'updated' });
+    }
+
+    const summary = { total: results.length };
+    for (const { status } of results) {
+      summary[status] = (summary[status] || 0) + 1;
+    }
+
+    res.json({ action, summary, results });
+  } catch (error) {
+    console.error('Error applying bulk user action:', error);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+});
+
+// Update user
+router.put('/:id', authenticateToken, requirePermission('user.update'), async (req, res) => {
+  const { username, role, department, email, is_active } = req.body;
   const userId = req.params.id;
 
   try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
     const updateData = {};
     if (username) updateData.username = username;
-    if (role) updateData.role = role;
-    if (department) updateData.department = department;
+    if (role) {
+      if (!(await getRole(role))) {
+        return res.status(400).json({ error: 'Invalid role' });
+      }
+      updateData.role = role;
+    }
+    if (department) {
+      updateData.department = await resolveEntryName('departments', department);
+      if (!updateData.department) {
+        return res.status(400).json({ error: `Unknown department: ${department}` });
+      }
+    }
+    if (typeof email !== 'undefined') updateData.email = email || null;
     if (typeof is_active !== 'undefined') updateData.is_active = is_active;
 
+    // The account must stay manageable after the change as well
+    const denied = await checkManageable(req.user, {
+      role: updateData.role || user.role,
+      department: updateData.department || user.department
+    });
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
     const { data: updatedUser, error } = await supabaseAdmin
       .from('users')
       .update(updateData)
       .eq('id', userId)
-      .select('id, username, role, department, is_active')
+      .select('id, username, role, department, email, is_active')
       .single();
 
     if (error) throw error;
@@ -122,11 +528,13 @@ router.put('/:id', authenticateToken, authorizeRoles('admin'), async (req, res)
   }
 });
 
-// Archive/Disable user (Admin only)
-router.patch('/:id/archive', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// Archive/Disable user
+router.patch('/:id/archive', authenticateToken, requirePermission('user.update'), async (req, res) => {
   const userId = req.params.id;
 
   try {
+    if (!(await loadManagedUser(req, res))) return;
+
     const { data: updatedUser, error } = await supabaseAdmin
       .from('users')
       .update({ is_active: false })
@@ -146,8 +554,63 @@ router.patch('/:id/archive', authenticateToken, authorizeRoles('admin'), async (
   }
 });
 
-// Delete user (Admin only)
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// Issue a one-time password reset token and force a change
+router.post('/:id/reset-password', authenticateToken, requirePermission('user.security'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const { token, expiresAt } = await createResetToken(user.id, req.user.id);
+    await revokeAllUserSessions(user.id, 'password_reset');
+
+    res.json({
+      message: 'Password reset issued; hand the token to the user',
+      username: user.username,
+      reset_token: token,
+      expires_at: expiresAt.toISOString()
+    });
+  } catch (error) {
+    console.error('Error issuing password reset:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Clear a login lockout
+router.post('/:id/unlock', authenticateToken, requirePermission('user.security'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    await clearLockout(user);
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// Revoke all sessions of a user, e.g. for a lost device
+router.post('/:id/revoke-sessions', authenticateToken, requirePermission('user.security'), async (req, res) => {
+  const userId = req.params.id;
+
+  try {
+    if (!(await loadManagedUser(req, res))) return;
+
+    const revoked = await revokeAllUserSessions(userId, 'admin_revoked');
+
+    res.json({
+      message: 'User sessions revoked successfully',
+      revoked_sessions: revoked
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke user sessions' });
+  }
+});
+
+// Delete user
+router.delete('/:id', authenticateToken, requirePermission('user.delete'), async (req, res) => {
   const userId = req.params.id;
 
   // Prevent deleting own account
@@ -156,6 +619,8 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, re
   }
 
   try {
+    if (!(await loadManagedUser(req, res))) return;
+
     const { error } = await supabaseAdmin
       .from('users')
       .delete()
@@ -0,0 +1,340 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { WEBHOOK_EVENT_TYPES, checkWebhookUrl, generateSecret, enqueueDelivery } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const EVENT_TYPES = Object.values(WEBHOOK_EVENT_TYPES);
+
+// Secrets are only ever returned on create and rotate
+const WEBHOOK_COLUMNS = 'id, url, description, events, is_active, created_by, created_at, updated_at';
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+// Returns an error message for an invalid events list, or null
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return `Unknown event types: ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+router.use(authenticateToken, requirePermission('webhook.manage'));
+
+// List webhooks
+router.get('/', async (req, res) => {
+  try {
+    const { data: webhooks, error } = await supabaseAdmin
+      .from('webhooks')
+      .select(WEBHOOK_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ webhooks, event_types: EVENT_TYPES });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a webhook
+router.post('/', async (req, res) => {
+  const { url, description, events, is_active } = req.body;
+
+  if (!url) {
+    return res.status(400).json({ error: 'A valid https url is required' });
+  }
+
+  const eventsError = validateEvents(events);
+  if (eventsError) {
+    return res.status(400).json({ error: eventsError });
+  }
+
+  try {
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const { data: webhook, error } = await supabaseAdmin
+      .from('webhooks')
+      .insert({
+        url,
+        description: description || null,
+        events: [...new Set(events)],
+        secret: generateSecret(),
+        is_active: typeof is_active === 'boolean' ? is_active : true,
+        created_by: req.user.id
+      })
+      .select(`${WEBHOOK_COLUMNS}, secret`)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Get a webhook
+router.get('/:id', async (req, res) => {
+  try {
+    const { data: webhook, error } = await supabaseAdmin
+      .from('webhooks')
+      .select(WEBHOOK_COLUMNS)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+});
+
+// Update a webhook
+router.put('/:id', async (req, res) => {
+  const { url, description, events, is_active } = req.body;
+
+  const updateData = { updated_at: new Date().toISOString() };
+
+  if (typeof url !== 'undefined') {
+    if (!url) {
+      return res.status(400).json({ error: 'A valid https url is required' });
+    }
+    updateData.url = url;
+  }
+
+  if (typeof events !== 'undefined') {
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError });
+    }
+    updateData.events = [...new Set(events)];
+  }
+
+  if (typeof description !== 'undefined') updateData.description = description || null;
+  if (typeof is_active === 'boolean') updateData.is_active = is_active;
+
+  try {
+    if (updateData.url) {
+      const urlError = await checkWebhookUrl(updateData.url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+    }
+
+    const { data: webhook, error } = await supabaseAdmin
+      .from('webhooks')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select(WEBHOOK_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete a webhook (its delivery log goes with it)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { data: webhook, error } = await supabaseAdmin
+      .from('webhooks')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Issue a new signing secret
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const { data: webhook, error } = await supabaseAdmin
+      .from('webhooks')
+      .update({ secret: generateSecret(), updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select(`${WEBHOOK_COLUMNS}, secret`)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Send a test event
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const { data: webhook, error } = await supabaseAdmin
+      .from('webhooks')
+      .select('id, is_active')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!webhook.is_active) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+
+    const delivery = await enqueueDelivery(webhook, {
+      eventType: 'ping',
+      payload: { type: 'ping', occurred_at: new Date().toISOString(), data: { webhook_id: webhook.id } }
+    });
+
+    res.status(202).json({ message: 'Ping queued', delivery });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({ error: 'Failed to ping webhook' });
+  }
+});
+
+// Delivery log for a webhook, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 100);
+
+  if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  try {
+    let query = supabaseAdmin
+      .from('webhook_deliveries')
+      .select('id, event_id, event_type, status, attempts, next_attempt_at, last_status_code, last_error, delivered_at, replay_of, created_at')
+      .eq('webhook_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    if (req.query.before) {
+      query = query.lt('created_at', req.query.before);
+    }
+
+    const { data: deliveries, error } = await query;
+
+    if (error) throw error;
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// A single delivery with its payload and every attempt
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const { data: delivery, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('*, attempts_log:webhook_delivery_attempts(*)')
+      .eq('id', req.params.deliveryId)
+      .eq('webhook_id', req.params.id)
+      .order('attempt', { referencedTable: 'attempts_log', ascending: true })
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Send a past delivery's payload again as a new delivery
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const { data: original, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('id, event_id, event_type, payload, webhook:webhooks(id, is_active)')
+      .eq('id', req.params.deliveryId)
+      .eq('webhook_id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (!original.webhook.is_active) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+
+    const delivery = await enqueueDelivery(original.webhook, {
+      eventId: original.event_id,
+      eventType: original.event_type,
+      payload: original.payload,
+      replayOf: original.id
+    });
+
+    res.status(202).json({ message: 'Delivery replay queued', delivery });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,71 @@
+// Route incidents reported before assignment existed to their reporter's
+// department queue, so department-scoped superusers can see them.
+//
+//   node scripts/backfill-incident-routing.js [--apply]
+//
+// Without --apply this only reports how many incidents would be routed where.
+const { supabaseAdmin } = require('../config/supabase');
+
+const PAGE_SIZE = 1000;
+
+// One page of unrouted incidents whose reporter has a department
+const fetchUnrouted = async (from) => {
+  const { data: incidents, error } = await supabaseAdmin
+    .from('incidents')
+    .select('id, user:users!incidents_user_id_fkey!inner(department)')
+    .is('assigned_department', null)
+    .not('user.department', 'is', null)
+    .order('id', { ascending: true })
+    .range(from, from + PAGE_SIZE - 1);
+
+  if (error) throw error;
+
+  return incidents;
+};
+
+const groupByDepartment = (incidents) => {
+  const groups = new Map();
+  for (const incident of incidents) {
+    const ids = groups.get(incident.user.department) || [];
+    ids.push(incident.id);
+    groups.set(incident.user.department, ids);
+  }
+  return groups;
+};
+
+const main = async () => {
+  const apply = process.argv.includes('--apply');
+  const totals = new Map();
+
+  // Routed rows drop out of the filter, so applying always re-reads the first page
+  for (let from = 0; ; from += apply ? 0 : PAGE_SIZE) {
+    const incidents = await fetchUnrouted(from);
+
+    for (const [department, ids] of groupByDepartment(incidents)) {
+      if (apply) {
+        const { error } = await supabaseAdmin
+          .from('incidents')
+          .update({ assigned_department: department })
+          .in('id', ids);
+
+        if (error) throw error;
+      }
+      totals.set(department, (totals.get(department) || 0) + ids.length);
+    }
+
+    if (incidents.length < PAGE_SIZE) break;
+  }
+
+  for (const [department, count] of totals) {
+    console.log(`${apply ? 'Routed' : 'Would route'} ${count} incidents to ${department}`);
+  }
+
+  if (!apply) {
+    console.log('Dry run (pass --apply to write changes)');
+  }
+};
+
+main().catch(error => {
+  console.error('Incident routing backfill failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
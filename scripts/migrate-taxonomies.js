@@ -0,0 +1,162 @@
+// Map existing free-text values (incident sources, categories and projects,
+// user and incident departments) onto taxonomy entries.
+//
+//   node scripts/migrate-taxonomies.js [--apply] [--create-missing] [--mapping file.json] [--only sources,projects]
+//
+// Without --apply this is a dry run that only prints the report. Values match
+// an entry by name or alias (ignoring case and whitespace); a mapping file
+// can point other values at an entry: { "sources": { "wharehouse": "Warehouse" } }.
+// --create-missing creates entries for values (or mapping targets) that match
+// nothing. Applying rewrites each value to its entry's canonical name and
+// records the old spelling as an alias so later input keeps matching.
+const fs = require('fs');
+const { supabaseAdmin } = require('../config/supabase');
+const { taxonomies } = require('../config/taxonomies');
+const { normalizeKey, taxonomyColumns, listEntries, matchEntry } = require('../utils/taxonomies');
+
+const PAGE_SIZE = 1000;
+
+const parseArgs = (argv) => {
+  const args = { apply: false, createMissing: false, mapping: {}, only: Object.keys(taxonomies) };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--apply':
+        args.apply = true;
+        break;
+      case '--create-missing':
+        args.createMissing = true;
+        break;
+      case '--mapping':
+        args.mapping = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+        break;
+      case '--only':
+        args.only = argv[++i].split(',').map(s => s.trim());
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  const unknown = args.only.filter(taxonomy => !taxonomies[taxonomy]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown taxonomies: ${unknown.join(', ')}`);
+  }
+
+  return args;
+};
+
+// Distinct non-empty values of a column with how many rows use each, added
+// to counts
+const fetchValueCounts = async (table, column, counts = new Map()) => {
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: rows, error } = await supabaseAdmin
+      .from(table)
+      .select(column)
+      .not(column, 'is', null)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const row of rows) {
+      if (String(row[column]).trim()) {
+        counts.set(row[column], (counts.get(row[column]) || 0) + 1);
+      }
+    }
+
+    if (rows.length < PAGE_SIZE) break;
+  }
+
+  return counts;
+};
+
+const createEntry = async (taxonomy, name) => {
+  const { data: entry, error } = await supabaseAdmin
+    .from('taxonomy_entries')
+    .insert({ taxonomy, name, aliases: [], is_active: true })
+    .select('id, name, aliases')
+    .single();
+
+  if (error) throw error;
+
+  return entry;
+};
+
+const migrateTaxonomy = async (taxonomy, args) => {
+  const columns = taxonomyColumns(taxonomy);
+  const entries = await listEntries(taxonomy, { includeInactive: true });
+  const counts = new Map();
+  for (const { table, column } of columns) {
+    await fetchValueCounts(table, column, counts);
+  }
+  const mapping = new Map(Object.entries(args.mapping[taxonomy] || {}).map(([from, to]) => [normalizeKey(from), to]));
+  const report = [];
+
+  for (const [value, count] of [...counts].sort((a, b) => b[1] - a[1])) {
+    const target = mapping.get(normalizeKey(value)) || value;
+    let entry = matchEntry(entries, target);
+    let action = entry ? (entry.name === value ? 'ok' : 'rename') : 'unmatched';
+
+    if (!entry && args.createMissing) {
+      const name = String(target).trim().replace(/\s+/g, ' ');
+      entry = args.apply ? await createEntry(taxonomy, name) : { id: null, name, aliases: [] };
+      entries.push(entry);
+      action = 'create';
+    }
+
+    if (args.apply && entry && entry.name !== value) {
+      for (const { table, column } of columns) {
+        const { error } = await supabaseAdmin
+          .from(table)
+          .update({ [column]: entry.name })
+          .eq(column, value);
+
+        if (error) throw error;
+      }
+
+      const aliases = entry.aliases || [];
+      if (normalizeKey(value) !== normalizeKey(entry.name) && !aliases.some(alias => normalizeKey(alias) === normalizeKey(value))) {
+        entry.aliases = [...aliases, String(value).trim()];
+
+        const { error: aliasError } = await supabaseAdmin
+          .from('taxonomy_entries')
+          .update({ aliases: entry.aliases, updated_at: new Date().toISOString() })
+          .eq('id', entry.id);
+
+        if (aliasError) throw aliasError;
+      }
+    }
+
+    report.push({ value, rows: count, entry: entry ? entry.name : '', action });
+  }
+
+  return report;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  let unmatched = 0;
+
+  console.log(args.apply ? 'Applying taxonomy migration' : 'Dry run (pass --apply to write changes)');
+
+  for (const taxonomy of args.only) {
+    const report = await migrateTaxonomy(taxonomy, args);
+    const columns = taxonomyColumns(taxonomy).map(({ table, column }) => `${table}.${column}`);
+
+    console.log(`\n${taxonomy} (${columns.join(', ')}): ${report.length} distinct values`);
+    if (report.length > 0) console.table(report);
+
+    unmatched += report.filter(row => row.action === 'unmatched').length;
+  }
+
+  if (unmatched > 0) {
+    console.log(`\n${unmatched} values match no entry; add entries or aliases, use --mapping, or pass --create-missing`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch(error => {
+  console.error('Taxonomy migration failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -4,7 +4,20 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
-const { router: incidentRoutes, handleMulterError } = require('./routes/incidents');
+const { router: incidentRoutes } = require('./routes/incidents');
+const uploadRoutes = require('./routes/uploads');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const taxonomyRoutes = require('./routes/taxonomies');
+const roleRoutes = require('./routes/roles');
+const actionRoutes = require('./routes/actions');
+const { registerNotificationHandlers } = require('./utils/notifications');
+const { registerWebhookHandlers } = require('./utils/webhooks');
+const { startSlaMonitor } = require('./utils/sla');
+const { startRetentionJob } = require('./utils/retention');
+const { resumePendingVariants } = require('./utils/mediaVariants');
+const { handleMulterError } = require('./middleware/upload');
+const { jsonBodyLimit } = require('./config/uploads');
 
 // Validate required environment variables
 const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'JWT_SECRET'];
@@ -18,6 +31,17 @@ if (missingEnvVars.length > 0) {
 const app = express();
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Behind Render/Vercel proxies set TRUST_PROXY (a hop count such as 1, or
+// the proxy addresses) so req.ip is the client. Without it X-Forwarded-For is
+// ignored; trusting it with no proxy in front would let clients pick their IP
+// and slip past the login throttle and rate limits.
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // FLEXIBLE CORS - Allow Vercel and localhost
 app.use(cors({
   origin: function(origin, callback) {
@@ -43,14 +67,39 @@ app.use(cors({
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['Content-Length', 'X-Request-Id']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    // tus resumable uploads
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Metadata'
+  ],
+  exposedHeaders: [
+    'Content-Length',
+    'X-Request-Id',
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires',
+    'Upload-Attachment-Id',
+    // incident list pagination
+    'X-Total-Count',
+    'X-Has-More',
+    'X-Next-Cursor'
+  ]
 }));
 
-// Body parsing middleware - NO SIZE LIMIT
-app.use(express.json({ limit: '500mb' }));
-app.use(express.urlencoded({ extended: true, limit: '500mb' }));
+// Body parsing middleware - files go through multipart or resumable uploads,
+// so JSON and form bodies stay small
+app.use(express.json({ limit: jsonBodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: jsonBodyLimit }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -68,6 +117,21 @@ app.get('/health', (req, res) => {
 app.use('/api', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/incidents', incidentRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/taxonomies', taxonomyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/actions', actionRoutes);
+
+// Incident event side effects
+registerNotificationHandlers();
+registerWebhookHandlers();
+
+// Background jobs
+startSlaMonitor();
+startRetentionJob();
+resumePendingVariants().catch(err => console.error('Error resuming attachment variants:', err));
 
 // Multer error handler (before 404 handler)
 app.use(handleMulterError);
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { quotaFor, allowedTypes, maxImageSize, quarantineBucket } = require('../config/uploads');
+const { attachmentPaths, uploadToBucket, removeFromBucket } = require('./storage');
+const { INCIDENT_EVENTS, recordIncidentEvent } = require('./incidentEvents');
+const { detectFileType, stripImageMetadata } = require('./fileInspection');
+const { scanFile } = require('./malwareScanner');
+const { queueVariants } = require('./mediaVariants');
+
+// SHA-256 of a staged file, read as a stream
+const fileChecksum = (path) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(path)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Check adding incomingBytes keeps the incident within the role's total quota,
+// counting incident and comment attachments; returns an error message or null
+const checkIncidentQuota = async (incidentId, role, incomingBytes) => {
+  const { maxIncidentTotal } = quotaFor(role);
+
+  let used = 0;
+  if (incidentId) {
+    const [
+      { data: existing, error },
+      { data: commentFiles, error: commentError }
+    ] = await Promise.all([
+      supabaseAdmin
+        .from('incident_attachments')
+        .select('file_size')
+        .eq('incident_id', incidentId),
+      supabaseAdmin
+        .from('incident_comment_attachments')
+        .select('file_size, comment:incident_comments!inner(incident_id)')
+        .eq('comment.incident_id', incidentId)
+    ]);
+
+    if (error) throw error;
+    if (commentError) throw commentError;
+
+    used = [...existing, ...commentFiles].reduce((sum, att) => sum + (att.file_size || 0), 0);
+  }
+
+  if (used + incomingBytes > maxIncidentTotal) {
+    const limitMb = Math.floor(maxIncidentTotal / (1024 * 1024));
+    return `Attachments on this incident would exceed the ${limitMb} MB limit for your role`;
+  }
+
+  return null;
+};
+
+// Verify a staged file by its content: sniffed type on the allow-list and
+// matching the claimed kind, image metadata stripped, malware scan passed.
+// On success file.mimetype/file.size are updated to the verified values.
+// Returns { ok: true } or { ok: false, type, reason }.
+const vetFile = async (file) => {
+  const type = await detectFileType(file.path);
+
+  if (!type || !allowedTypes.includes(type)) {
+    return { ok: false, type, reason: `type_not_allowed: ${type || 'unknown'}` };
+  }
+
+  if (type.split('/')[0] !== String(file.mimetype).split('/')[0]) {
+    return { ok: false, type, reason: `type_mismatch: claimed ${file.mimetype}, detected ${type}` };
+  }
+
+  if (type.startsWith('image/')) {
+    if (file.size > maxImageSize) {
+      return { ok: false, type, reason: 'image_too_large' };
+    }
+
+    const strippedSize = await stripImageMetadata(file.path, type);
+    if (strippedSize !== null) file.size = strippedSize;
+  }
+
+  const scan = await scanFile(file.path);
+  if (!scan.clean) {
+    return { ok: false, type, reason: scan.reason };
+  }
+
+  file.mimetype = type;
+  return { ok: true };
+};
+
+// Park a rejected file in the quarantine bucket and flag the incident
+const quarantineFile = async ({ incidentId, commentId = null, file, type, reason, uploaderId }) => {
+  const path = await uploadToBucket(`${incidentId}/${Date.now()}-${file.originalname}`, file, quarantineBucket);
+
+  const { data: quarantined, error } = await supabaseAdmin
+    .from('quarantined_attachments')
+    .insert({
+      incident_id: incidentId,
+      comment_id: commentId,
+      file_url: path,
+      claimed_type: file.mimetype,
+      detected_type: type || null,
+      original_filename: file.originalname,
+      file_size: file.size,
+      checksum: await fileChecksum(file.path),
+      reason,
+      uploaded_by: uploaderId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: flagError } = await supabaseAdmin
+    .from('incidents')
+    .update({ has_quarantined_attachments: true })
+    .eq('id', incidentId);
+
+  if (flagError) throw flagError;
+
+  await recordIncidentEvent({
+    incidentId,
+    eventType: INCIDENT_EVENTS.ATTACHMENT_QUARANTINED,
+    actorId: uploaderId,
+    newValue: {
+      quarantined_attachment_id: quarantined.id,
+      original_filename: quarantined.original_filename,
+      reason
+    }
+  });
+
+  console.warn(`⚠️  Quarantined ${file.originalname} on incident ${incidentId}: ${reason}`);
+
+  return quarantined;
+};
+
+// Vet a file and quarantine it if it fails. Returns an error message for the
+// client when the file was rejected, otherwise null.
+const vetOrQuarantine = async ({ incidentId, commentId, file, uploaderId }) => {
+  const verdict = await vetFile(file);
+  if (verdict.ok) return null;
+
+  const reason = verdict.reason.split(':')[0];
+
+  try {
+    await quarantineFile({ incidentId, commentId, file, type: verdict.type, reason: verdict.reason, uploaderId });
+  } catch (error) {
+    console.error('Error quarantining file:', error);
+    return `${file.originalname} was rejected (${reason}) but could not be quarantined`;
+  }
+
+  return `${file.originalname} was rejected and quarantined (${reason})`;
+};
+
+// Upload files to an incident and save their attachment records.
+// Returns the saved attachments plus a message per file that failed.
+const saveIncidentAttachments = async (incidentId, files, uploaderId) => {
+  const attachments = [];
+  const uploadErrors = [];
+
+  for (const file of files || []) {
+    let path;
+
+    try {
+      const rejection = await vetOrQuarantine({ incidentId, file, uploaderId });
+      if (rejection) {
+        uploadErrors.push(rejection);
+        continue;
+      }
+    } catch (vetError) {
+      console.error('Error validating file:', vetError);
+      uploadErrors.push(`Error processing ${file.originalname}`);
+      continue;
+    }
+
+    try {
+      // Upload to Supabase Storage
+      path = await uploadToBucket(`${incidentId}/${Date.now()}-${file.originalname}`, file);
+    } catch (uploadError) {
+      console.error('Error uploading file:', uploadError);
+      uploadErrors.push(`Failed to upload ${file.originalname}`);
+      continue;
+    }
+
+    try {
+      // Save attachment record
+      const { data: attachment, error: attachmentError } = await supabaseAdmin
+        .from('incident_attachments')
+        .insert({
+          incident_id: incidentId,
+          file_url: path,
+          file_type: file.mimetype,
+          original_filename: file.originalname,
+          file_size: file.size,
+          checksum: await fileChecksum(file.path),
+          uploaded_by: uploaderId,
+          variants_status: 'pending'
+        })
+        .select()
+        .single();
+
+      if (attachmentError) throw attachmentError;
+
+      attachments.push(attachment);
+
+      // Thumbnails/previews are generated in the background
+      await queueVariants(attachment, file.path).catch(err => {
+        console.error('Error queueing attachment variants:', err);
+      });
+
+      await recordIncidentEvent({
+        incidentId,
+        eventType: INCIDENT_EVENTS.ATTACHMENT_ADDED,
+        actorId: uploaderId,
+        newValue: {
+          attachment_id: attachment.id,
+          file_url: attachment.file_url,
+          file_type: attachment.file_type,
+          original_filename: attachment.original_filename,
+          checksum: attachment.checksum
+        }
+      });
+    } catch (attachmentError) {
+      console.error('Error saving attachment record:', attachmentError);
+      uploadErrors.push(`Failed to save attachment for ${file.originalname}`);
+
+      // Do not leave an orphaned object behind
+      await removeFromBucket([path]).catch(err => console.error('Error removing orphaned upload:', err));
+    }
+  }
+
+  return { attachments, uploadErrors };
+};
+
+// Delete the stored objects (original and variants) and the attachment record
+const removeIncidentAttachment = async (attachment, actorId) => {
+  await removeFromBucket(attachmentPaths(attachment));
+
+  const { error } = await supabaseAdmin
+    .from('incident_attachments')
+    .delete()
+    .eq('id', attachment.id);
+
+  if (error) throw error;
+
+  await recordIncidentEvent({
+    incidentId: attachment.incident_id,
+    eventType: INCIDENT_EVENTS.ATTACHMENT_REMOVED,
+    actorId,
+    oldValue: {
+      attachment_id: attachment.id,
+      file_url: attachment.file_url,
+      file_type: attachment.file_type,
+      original_filename: attachment.original_filename,
+      checksum: attachment.checksum
+    }
+  });
+};
+
+module.exports = {
+  checkIncidentQuota,
+  vetOrQuarantine,
+  saveIncidentAttachments,
+  removeIncidentAttachment
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV helpers
+
+// Cells starting with these could be run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || typeof value === 'undefined') return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+// Parse CSV text into rows of cells; blank lines are skipped
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  // A leading byte order mark is not part of the first header
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = { escapeCsvValue, toCsvLine, parseCsv };
\ No newline at end of file
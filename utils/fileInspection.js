@@ -0,0 +1,213 @@
+const fs = require('fs');
+
+// Content-based file type detection and image metadata stripping. The
+// client-supplied mimetype is never trusted for stored attachments.
+
+const HEADER_BYTES = 64;
+
+const startsWith = (buf, bytes, offset = 0) => {
+  if (buf.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buf[offset + i] === byte);
+};
+
+const ascii = (buf, start, end) => buf.toString('latin1', start, end);
+
+// ISO base media (ftyp box) brands
+const FTYP_BRANDS = {
+  'video/mp4': ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'MSNV', 'f4v '],
+  'video/quicktime': ['qt  '],
+  'video/3gpp': ['3gp4', '3gp5', '3gp6', '3gg6', '3g2a'],
+  'image/heic': ['heic', 'heix', 'heim', 'heis']
+};
+
+// Detect the real type from the leading bytes; returns a mimetype or null
+const sniffType = (buf) => {
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(buf, 0, 6) === 'GIF87a' || ascii(buf, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'AVI ') return 'video/x-msvideo';
+
+  if (ascii(buf, 4, 8) === 'ftyp') {
+    const brand = ascii(buf, 8, 12);
+    for (const [type, brands] of Object.entries(FTYP_BRANDS)) {
+      if (brands.includes(brand)) return type;
+    }
+    return null;
+  }
+
+  // EBML header: WebM declares its DocType early, otherwise Matroska
+  if (startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return buf.includes('webm', 4, 'latin1') ? 'video/webm' : 'video/x-matroska';
+  }
+
+  return null;
+};
+
+const detectFileType = async (path) => {
+  const handle = await fs.promises.open(path, 'r');
+  try {
+    const buf = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buf, 0, HEADER_BYTES, 0);
+    return sniffType(buf.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+// --- JPEG -------------------------------------------------------------------
+
+// Read the EXIF orientation (1-8) from an APP1 Exif payload, if present
+const readExifOrientation = (segment) => {
+  const tiff = 6; // after "Exif\0\0"
+  if (segment.length < tiff + 8) return null;
+
+  const little = ascii(segment, tiff, tiff + 2) === 'II';
+  const u16 = (o) => (little ? segment.readUInt16LE(o) : segment.readUInt16BE(o));
+  const u32 = (o) => (little ? segment.readUInt32LE(o) : segment.readUInt32BE(o));
+
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > segment.length) return null;
+
+  const entries = u16(ifd);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > segment.length) return null;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+
+  return null;
+};
+
+// Minimal big-endian Exif block carrying only the orientation tag, so photos
+// keep displaying upright after everything else (GPS, device, etc.) is dropped
+const orientationSegment = (orientation) => {
+  const payload = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+  payload.write('Exif\0\0', 0, 'latin1');
+  payload.write('MM', 6, 'latin1');
+  payload.writeUInt16BE(42, 8);
+  payload.writeUInt32BE(8, 10);
+  payload.writeUInt16BE(1, 14);
+  payload.writeUInt16BE(0x0112, 16);
+  payload.writeUInt16BE(3, 18); // SHORT
+  payload.writeUInt32BE(1, 20);
+  payload.writeUInt16BE(orientation, 24);
+  payload.writeUInt32BE(0, 28);
+
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+// Drop APP1 (Exif/XMP), APP13 (IPTC) and comment segments
+const stripJpeg = (buf) => {
+  const parts = [buf.subarray(0, 2)];
+  let orientation = null;
+  let offset = 2;
+
+  while (offset + 4 <= buf.length) {
+    if (buf[offset] !== 0xff) break;
+    const marker = buf[offset + 1];
+
+    // Start of scan: the rest is image data
+    if (marker === 0xda) break;
+
+    const length = buf.readUInt16BE(offset + 2);
+    const segment = buf.subarray(offset + 4, offset + 2 + length);
+
+    if (marker === 0xe1 || marker === 0xed || marker === 0xfe) {
+      if (marker === 0xe1 && ascii(segment, 0, 4) === 'Exif') {
+        orientation = readExifOrientation(segment) || orientation;
+      }
+    } else {
+      parts.push(buf.subarray(offset, offset + 2 + length));
+    }
+
+    offset += 2 + length;
+  }
+
+  if (orientation && orientation !== 1) {
+    parts.splice(1, 0, orientationSegment(orientation));
+  }
+  parts.push(buf.subarray(offset));
+
+  return Buffer.concat(parts);
+};
+
+// --- PNG --------------------------------------------------------------------
+
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+const stripPng = (buf) => {
+  const parts = [buf.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = ascii(buf, offset + 4, offset + 8);
+    const end = offset + 12 + length;
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buf.subarray(offset, end));
+    }
+
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+};
+
+// --- WebP -------------------------------------------------------------------
+
+const stripWebp = (buf) => {
+  const parts = [];
+  let offset = 12;
+
+  while (offset + 8 <= buf.length) {
+    const type = ascii(buf, offset, offset + 4);
+    const length = buf.readUInt32LE(offset + 4);
+    const end = offset + 8 + length + (length % 2);
+    let chunk = buf.subarray(offset, Math.min(end, buf.length));
+
+    if (type === 'VP8X') {
+      // Clear the EXIF (0x08) and XMP (0x04) flags
+      chunk = Buffer.from(chunk);
+      chunk[8] &= ~0x0c;
+    }
+
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(chunk);
+    }
+
+    offset = end;
+  }
+
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+
+  return Buffer.concat([header, body]);
+};
+
+const STRIPPERS = {
+  'image/jpeg': stripJpeg,
+  'image/png': stripPng,
+  'image/webp': stripWebp
+};
+
+// Rewrite an image in place without EXIF/GPS/XMP metadata. Returns the new
+// size, or null when the type carries no strippable metadata.
+const stripImageMetadata = async (path, type) => {
+  const strip = STRIPPERS[type];
+  if (!strip) return null;
+
+  const stripped = strip(await fs.promises.readFile(path));
+  await fs.promises.writeFile(path, stripped);
+
+  return stripped.length;
+};
+
+module.exports = { sniffType, detectFileType, stripImageMetadata };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Corrective and preventive action (CAPA) items of an incident
+const ACTION_TYPES = ['corrective', 'preventive'];
+
+// open -> in_progress -> done -> verified; cancelled ends an item early.
+// Only verification (done -> verified) and cancellation need a reviewer.
+const ACTION_STATUSES = ['open', 'in_progress', 'done', 'verified', 'cancelled'];
+
+// Statuses owners can set while working on an item
+const PROGRESS_STATUSES = ['open', 'in_progress', 'done'];
+
+// Still outstanding; mandatory items in these block closing the incident
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+// Items in these can no longer change
+const FINAL_STATUSES = ['verified', 'cancelled'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Round-tripped so impossible dates such as 2024-02-31 are refused
+const isValidDueDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(value);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const isOverdue = (action) => OPEN_STATUSES.includes(action.status) && action.due_date < today();
+
+// Mandatory actions of an incident that are not done yet
+const getOpenMandatoryActions = async (incidentId) => {
+  const { data: actions, error } = await supabaseAdmin
+    .from('incident_actions')
+    .select('id, title, status, due_date')
+    .eq('incident_id', incidentId)
+    .eq('mandatory', true)
+    .in('status', OPEN_STATUSES);
+
+  if (error) throw error;
+
+  return actions;
+};
+
+module.exports = {
+  ACTION_TYPES,
+  ACTION_STATUSES,
+  PROGRESS_STATUSES,
+  OPEN_STATUSES,
+  FINAL_STATUSES,
+  isValidDueDate,
+  today,
+  isOverdue,
+  getOpenMandatoryActions
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+const { supabaseAdmin } = require('../config/supabase');
+const workflow = require('../config/incidentWorkflow');
+
+// Incident content the reporter fills in (and may edit before review)
+const CONTENT_FIELDS = [
+  'subject',
+  'date_of_incident',
+  'project_name',
+  'sales_work_order_number',
+  'source_of_incident',
+  'category',
+  'severity',
+  'preliminary_investigation',
+  'details_and_findings',
+  'suggestions'
+];
+
+// Needed before an incident can leave the draft state
+const REQUIRED_FIELDS = ['subject', 'date_of_incident', 'source_of_incident', 'details_and_findings'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// The content fields present in a request body (form or JSON); blank
+// values clear the field
+const pickContent = (body) => {
+  const content = {};
+  for (const field of CONTENT_FIELDS) {
+    if (typeof body[field] === 'undefined') continue;
+    if (field === 'preliminary_investigation') {
+      content[field] = body[field] === 'true' || body[field] === true;
+    } else {
+      content[field] = isBlank(body[field]) ? null : body[field];
+    }
+  }
+  return content;
+};
+
+const missingRequiredFields = (incident) => REQUIRED_FIELDS.filter(field => isBlank(incident[field]));
+
+// Reporters may change their drafts, and submitted incidents until a reviewer
+// responds or moves them on. Returns why an edit is refused, or null.
+const checkReporterEdit = (user, incident) => {
+  if (incident.user_id !== user.id) {
+    return 'Only the reporter can edit an incident';
+  }
+  if (incident.is_draft) return null;
+  if (incident.status !== workflow.initialStatus || incident.acknowledged_at) {
+    return 'Incidents can no longer be edited once they are under review';
+  }
+  return null;
+};
+
+// The same conditions on the update itself, so a review that starts after
+// the check above wins over the reporter's edit
+const applyReporterEditGuard = (query, incident) => {
+  query = query.eq('user_id', incident.user_id).is('deleted_at', null);
+  if (incident.is_draft) {
+    return query.eq('is_draft', true);
+  }
+  return query.eq('is_draft', false).eq('status', workflow.initialStatus).is('acknowledged_at', null);
+};
+
+// { field: { from, to } } for every field whose value changes
+const diffContent = (before, after) => {
+  const changes = {};
+  for (const [field, value] of Object.entries(after)) {
+    const previous = before[field] === undefined ? null : before[field];
+    if ((previous === null ? null : String(previous)) !== (value === null ? null : String(value))) {
+      changes[field] = { from: previous, to: value };
+    }
+  }
+  return changes;
+};
+
+// Store one edit of a submitted incident as the next numbered version
+const recordIncidentVersion = async ({ incidentId, changes, editorId }) => {
+  const { data: latest, error: latestError } = await supabaseAdmin
+    .from('incident_versions')
+    .select('version')
+    .eq('incident_id', incidentId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  const { data: version, error } = await supabaseAdmin
+    .from('incident_versions')
+    .insert({
+      incident_id: incidentId,
+      version: latest ? latest.version + 1 : 1,
+      changes,
+      edited_by: editorId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return version;
+};
+
+module.exports = {
+  REQUIRED_FIELDS,
+  pickContent,
+  missingRequiredFields,
+  checkReporterEdit,
+  applyReporterEditGuard,
+  diffContent,
+  recordIncidentVersion
+};
\ No newline at end of file
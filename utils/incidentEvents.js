@@ -0,0 +1,85 @@
+const { EventEmitter } = require('events');
+const { supabaseAdmin } = require('../config/supabase');
+
+// Append-only audit trail for incidents. Rows in incident_events are never
+// updated or deleted, and are kept after the incident itself is purged.
+const INCIDENT_EVENTS = {
+  CREATED: 'created',
+  EDITED: 'edited',
+  STATUS_CHANGED: 'status_changed',
+  CLASSIFICATION_CHANGED: 'classification_changed',
+  ASSIGNED: 'assigned',
+  RESPONSE_ADDED: 'response_added',
+  RESPONSE_EDITED: 'response_edited',
+  REPORT_REVIEWED: 'report_reviewed',
+  RESOLUTION_CONFIRMED: 'resolution_confirmed',
+  ACTION_ADDED: 'action_added',
+  ACTION_UPDATED: 'action_updated',
+  ACTION_VERIFIED: 'action_verified',
+  COMMENT_ADDED: 'comment_added',
+  ATTACHMENT_ADDED: 'attachment_added',
+  ATTACHMENT_REMOVED: 'attachment_removed',
+  ATTACHMENT_QUARANTINED: 'attachment_quarantined',
+  SLA_BREACHED: 'sla_breached',
+  DELETED: 'deleted',
+  RESTORED: 'restored',
+  LEGAL_HOLD_CHANGED: 'legal_hold_changed',
+  PURGED: 'purged'
+};
+
+// Recorded events are also published here ('event', event) so side effects
+// such as notifications can react without touching the route handlers
+const incidentEventBus = new EventEmitter();
+
+// Record an event; failures are logged but never abort the calling request
+const recordIncidentEvent = async ({ incidentId, eventType, actorId, oldValue = null, newValue = null, metadata = {} }) => {
+  try {
+    const { data: event, error } = await supabaseAdmin
+      .from('incident_events')
+      .insert({
+        incident_id: incidentId,
+        event_type: eventType,
+        actor_id: actorId,
+        old_value: oldValue,
+        new_value: newValue,
+        metadata,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    incidentEventBus.emit('event', event);
+
+    return event;
+  } catch (error) {
+    console.error(`Error recording incident event ${eventType} for ${incidentId}:`, error);
+    return null;
+  }
+};
+
+// Events of an incident in order, optionally only the given types
+const getIncidentHistory = async (incidentId, { eventTypes = null } = {}) => {
+  let query = supabaseAdmin
+    .from('incident_events')
+    .select(`
+      *,
+      actor:users!incident_events_actor_id_fkey(id, username, role, department)
+    `)
+    .eq('incident_id', incidentId)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (eventTypes) {
+    query = query.in('event_type', eventTypes);
+  }
+
+  const { data: events, error } = await query;
+
+  if (error) throw error;
+
+  return events;
+};
+
+module.exports = { INCIDENT_EVENTS, incidentEventBus, recordIncidentEvent, getIncidentHistory };
\ No newline at end of file
@@ -0,0 +1,273 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../config/supabase');
+const { fetchAllIncidents, reporterJoin } = require('./incidentQuery');
+const { downloadFromBucket } = require('./storage');
+const { toCsvLine } = require('./csv');
+
+const MAX_EXPORT_ROWS = parseInt(process.env.EXPORT_MAX_ROWS || '50000', 10);
+const MAX_PDF_IMAGES = 12;
+
+// Spreadsheet columns: [key, header, width]
+const EXPORT_COLUMNS = [
+  ['id', 'Incident ID', 38],
+  ['subject', 'Subject', 40],
+  ['status', 'Status', 16],
+  ['severity', 'Severity', 12],
+  ['priority', 'Priority', 12],
+  ['date_of_incident', 'Date of Incident', 16],
+  ['created_at', 'Reported At', 24],
+  ['updated_at', 'Updated At', 24],
+  ['reporter', 'Reporter', 20],
+  ['department', 'Department', 20],
+  ['source_of_incident', 'Source of Incident', 24],
+  ['category', 'Category', 24],
+  ['project_name', 'Project', 24],
+  ['sales_work_order_number', 'Sales Work Order', 20],
+  ['preliminary_investigation', 'Preliminary Investigation', 14],
+  ['details_and_findings', 'Details and Findings', 60],
+  ['suggestions', 'Suggestions', 40],
+  ['response_count', 'Responses', 12],
+  ['latest_response_at', 'Latest Response At', 24],
+  ['acknowledged_by', 'Acknowledged By', 20],
+  ['investigation_findings', 'Investigation Findings', 60],
+  ['root_cause', 'Root Cause', 40],
+  ['action_taken', 'Action Taken', 40],
+  ['further_action_plan', 'Further Action Plan', 40]
+];
+
+const latestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+// Usernames for every user id referenced by the incidents' responses
+const fetchResponderNames = async (incidents) => {
+  const ids = [...new Set(incidents.flatMap(incident =>
+    (incident.incident_responses || []).map(response => response.acknowledged_by)
+  ).filter(Boolean))];
+
+  if (ids.length === 0) return new Map();
+
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id, username')
+    .in('id', ids);
+
+  if (error) throw error;
+
+  return new Map(users.map(user => [user.id, user.username]));
+};
+
+// Every incident matching the filters within the user's scope (same scoping
+// as the list endpoint)
+const fetchIncidentsForExport = (user, filters) => {
+  return fetchAllIncidents(user, filters, `
+    *,
+    ${reporterJoin(filters)},
+    incident_responses(*)
+  `, { maxRows: MAX_EXPORT_ROWS });
+};
+
+// One flat row per incident, with the latest response's fields
+const toExportRows = async (incidents) => {
+  const names = await fetchResponderNames(incidents);
+
+  return incidents.map(incident => {
+    const responses = [...(incident.incident_responses || [])].sort(latestFirst);
+    const latest = responses[0] || {};
+
+    return {
+      id: incident.id,
+      subject: incident.subject,
+      status: incident.status,
+      severity: incident.severity,
+      priority: incident.priority,
+      date_of_incident: incident.date_of_incident,
+      created_at: incident.created_at,
+      updated_at: incident.updated_at,
+      reporter: incident.user ? incident.user.username : '',
+      department: incident.user ? incident.user.department : '',
+      source_of_incident: incident.source_of_incident,
+      category: incident.category,
+      project_name: incident.project_name,
+      sales_work_order_number: incident.sales_work_order_number,
+      preliminary_investigation: incident.preliminary_investigation ? 'Yes' : 'No',
+      details_and_findings: incident.details_and_findings,
+      suggestions: incident.suggestions,
+      response_count: responses.length,
+      latest_response_at: latest.created_at || '',
+      acknowledged_by: names.get(latest.acknowledged_by) || '',
+      investigation_findings: latest.investigation_findings || '',
+      root_cause: latest.root_cause || '',
+      action_taken: latest.action_taken || '',
+      further_action_plan: latest.further_action_plan || ''
+    };
+  });
+};
+
+const writeCsv = (res, rows, filename) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  // BOM so Excel opens the file as UTF-8
+  res.write('\uFEFF');
+  res.write(toCsvLine(EXPORT_COLUMNS.map(([, header]) => header)));
+  for (const row of rows) {
+    res.write(toCsvLine(EXPORT_COLUMNS.map(([key]) => row[key])));
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, rows, filename) => {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Incidents', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = EXPORT_COLUMNS.map(([key, header, width]) => ({ key, header, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for (const row of rows) {
+    sheet.addRow(row).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Small PNG versions of image attachments (and video posters) for the PDF
+const loadReportImages = async (attachments) => {
+  const images = [];
+
+  for (const attachment of attachments || []) {
+    if (images.length >= MAX_PDF_IMAGES) break;
+
+    const path = attachment.thumbnail_url || attachment.poster_url ||
+      (attachment.file_type && attachment.file_type.startsWith('image/') ? attachment.file_url : null);
+    if (!path) continue;
+
+    try {
+      const buffer = await downloadFromBucket(path);
+      const png = await sharp(buffer)
+        .rotate()
+        .resize(240, 240, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+      images.push({ png, label: attachment.original_filename || attachment.file_type });
+    } catch (error) {
+      console.error(`Error loading image for report (attachment ${attachment.id}):`, error);
+    }
+  }
+
+  return images;
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '-');
+
+// Formatted single-incident report for customers and auditors
+const writeIncidentPdf = async (res, incident, filename) => {
+  const [names, images] = await Promise.all([
+    fetchResponderNames([incident]),
+    loadReportImages(incident.incident_attachments)
+  ]);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Incident Report - ${incident.subject}` } });
+  doc.pipe(res);
+
+  const heading = (text) => {
+    doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#1f3a5f').text(text);
+    doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('black');
+  };
+
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+      .font('Helvetica').text(value === null || value === undefined || value === '' ? '-' : String(value));
+  };
+
+  const paragraph = (value) => {
+    doc.font('Helvetica').fontSize(10).text(value ? String(value) : '-', { align: 'left' });
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Incident Report');
+  doc.font('Helvetica').fontSize(9).fillColor('gray')
+    .text(`Generated ${formatDate(new Date())} UTC  |  Incident ${incident.id}`);
+  doc.fillColor('black');
+
+  heading('Summary');
+  field('Subject', incident.subject);
+  field('Status', incident.status);
+  field('Severity', incident.severity);
+  field('Priority', incident.priority);
+  field('Date of incident', incident.date_of_incident);
+  field('Reported at', formatDate(incident.created_at));
+  field('Reported by', incident.user ? incident.user.username : null);
+  field('Department', incident.user ? incident.user.department : null);
+  field('Source of incident', incident.source_of_incident);
+  field('Category', incident.category);
+  field('Project', incident.project_name);
+  field('Sales work order', incident.sales_work_order_number);
+  field('Preliminary investigation', incident.preliminary_investigation ? 'Yes' : 'No');
+
+  heading('Details and Findings');
+  paragraph(incident.details_and_findings);
+
+  heading('Suggestions');
+  paragraph(incident.suggestions);
+
+  const responses = [...(incident.incident_responses || [])].sort((a, b) => -latestFirst(a, b));
+  heading('Investigation and Corrective Actions');
+  if (responses.length === 0) {
+    paragraph('No responses recorded.');
+  }
+  responses.forEach((response, index) => {
+    doc.font('Helvetica-Bold').text(
+      `Response ${index + 1} - ${formatDate(response.created_at)} by ${names.get(response.acknowledged_by) || 'unknown'}`
+    );
+    field('Investigation findings', response.investigation_findings);
+    field('Root cause', response.root_cause);
+    field('Action taken', response.action_taken);
+    field('Further action plan', response.further_action_plan);
+    doc.moveDown(0.5);
+  });
+
+  if (images.length > 0) {
+    heading('Attachments');
+
+    const size = 150;
+    const gap = 15;
+    const perRow = 3;
+    let x = doc.page.margins.left;
+    let y = doc.y;
+
+    images.forEach((image, index) => {
+      if (y + size + 20 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.image(image.png, x, y, { fit: [size, size], align: 'center', valign: 'center' });
+      doc.fontSize(8).text(image.label || '', x, y + size + 2, { width: size, ellipsis: true, lineBreak: false });
+      doc.fontSize(10);
+
+      if ((index + 1) % perRow === 0) {
+        x = doc.page.margins.left;
+        y += size + gap + 10;
+      } else {
+        x += size + gap;
+      }
+    });
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  fetchIncidentsForExport,
+  toExportRows,
+  writeCsv,
+  writeXlsx,
+  writeIncidentPdf
+};
\ No newline at end of file
@@ -0,0 +1,324 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { hasPermission } = require('./permissions');
+
+// Shared filtering, role scoping and cursor pagination for incident listings
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Quote a value for use inside a PostgREST or() filter
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Escape LIKE wildcards so free-text search matches them literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const encodeCursor = (row, column) => {
+  return Buffer.from(JSON.stringify({ c: row[column], i: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!parsed || !parsed.c || !parsed.i) return null;
+    return { createdAt: parsed.c, id: parsed.i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate list query parameters; returns { filters } or { error }
+const parseIncidentFilters = (query) => {
+  const filters = {};
+
+  if (query.status) {
+    filters.status = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  for (const field of ['department', 'assigned_department', 'source_of_incident', 'category', 'project_name', 'sales_work_order_number']) {
+    if (query[field]) filters[field] = String(query[field]).trim();
+  }
+
+  // A user id, or 'none' for incidents still waiting in a queue
+  if (query.assigned_to) {
+    filters.assigned_to = String(query.assigned_to).trim();
+  }
+
+  for (const field of ['severity', 'priority']) {
+    if (query[field]) {
+      filters[field] = String(query[field]).split(',').map(s => s.trim()).filter(Boolean);
+    }
+  }
+
+  for (const field of ['date_from', 'date_to']) {
+    if (query[field]) {
+      if (!DATE_PATTERN.test(query[field]) || isNaN(Date.parse(query[field]))) {
+        return { error: `Invalid ${field}, expected YYYY-MM-DD` };
+      }
+      filters[field] = query[field];
+    }
+  }
+
+  if (filters.date_from && filters.date_to && filters.date_from > filters.date_to) {
+    return { error: 'date_from must not be after date_to' };
+  }
+
+  if (query.search) {
+    const search = String(query.search).trim();
+    if (search) filters.search = search;
+  }
+
+  if (typeof query.sla_breached !== 'undefined') {
+    if (!['true', 'false'].includes(query.sla_breached)) {
+      return { error: 'Invalid sla_breached, expected true or false' };
+    }
+    filters.sla_breached = query.sla_breached === 'true';
+  }
+
+  if (query.sla_due_before) {
+    if (isNaN(Date.parse(query.sla_due_before))) {
+      return { error: 'Invalid sla_due_before, expected a date' };
+    }
+    filters.sla_due_before = new Date(query.sla_due_before).toISOString();
+  }
+
+  return { filters };
+};
+
+// Validate cursor pagination parameters; returns { pagination } or { error }
+const parsePagination = (query) => {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (typeof query.limit !== 'undefined') {
+    limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) {
+      return { error: 'Invalid limit' };
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { pagination: { limit, cursor } };
+};
+
+// Columns canViewIncident needs on a single record
+const SCOPE_COLUMNS = 'user_id, assigned_to, assigned_department, is_draft';
+
+// Incidents in the recycle bin are hidden everywhere except the bin itself,
+// and drafts everywhere except the reporter's own drafts list.
+// Visibility follows the read permissions: incident.read.all sees everything,
+// incident.read.department the incidents routed to the user's department or
+// assigned to them, incident.read.own the ones they reported (these combine).
+// With referencedTable the scope applies to an inner-joined incident instead.
+const applyIncidentScope = (query, user, { referencedTable } = {}) => {
+  const column = (name) => (referencedTable ? `${referencedTable}.${name}` : name);
+
+  query = query.is(column('deleted_at'), null).eq(column('is_draft'), false);
+
+  if (hasPermission(user, 'incident.read.all')) {
+    return query;
+  }
+
+  const conditions = [];
+  if (hasPermission(user, 'incident.read.department')) {
+    conditions.push(`assigned_department.eq.${quoteFilterValue(user.department)}`, `assigned_to.eq.${quoteFilterValue(user.id)}`);
+  }
+  if (hasPermission(user, 'incident.read.own')) {
+    conditions.push(`user_id.eq.${quoteFilterValue(user.id)}`);
+  }
+
+  // No read permission at all: nothing matches
+  return conditions.length > 0
+    ? query.or(conditions.join(','), { referencedTable })
+    : query.is(column('id'), null);
+};
+
+// The same scope as parameters for database functions: read_all, or any of
+// department/assignee_id (incident.read.department) and reporter_id
+// (incident.read.own); nothing set means nothing matches
+const incidentScopeParams = (user) => {
+  if (hasPermission(user, 'incident.read.all')) {
+    return { read_all: true };
+  }
+
+  const scope = { read_all: false };
+  if (hasPermission(user, 'incident.read.department')) {
+    scope.department = user.department;
+    scope.assignee_id = user.id;
+  }
+  if (hasPermission(user, 'incident.read.own')) {
+    scope.reporter_id = user.id;
+  }
+  return scope;
+};
+
+// Incidents assigned to the user, optionally with the unassigned ones in
+// their department's queue
+const applyAssignedTo = (query, user, { includeQueue = false } = {}) => {
+  if (!includeQueue) {
+    return query.eq('assigned_to', user.id);
+  }
+  return query.or(
+    `assigned_to.eq.${quoteFilterValue(user.id)},and(assigned_to.is.null,assigned_department.eq.${quoteFilterValue(user.department)})`
+  );
+};
+
+// Same rule for single records (selected with SCOPE_COLUMNS)
+const canViewIncident = (user, incident) => {
+  if (incident.is_draft) {
+    return incident.user_id === user.id;
+  }
+  if (hasPermission(user, 'incident.read.all')) {
+    return true;
+  }
+  if (hasPermission(user, 'incident.read.department') &&
+    (incident.assigned_department === user.department || incident.assigned_to === user.id)) {
+    return true;
+  }
+  return hasPermission(user, 'incident.read.own') && incident.user_id === user.id;
+};
+
+const applyIncidentFilters = (query, filters) => {
+  if (filters.status && filters.status.length > 0) {
+    query = query.in('status', filters.status);
+  }
+  if (filters.department) {
+    query = query.eq('user.department', filters.department);
+  }
+  if (filters.assigned_department) {
+    query = query.eq('assigned_department', filters.assigned_department);
+  }
+  if (filters.assigned_to) {
+    query = filters.assigned_to === 'none'
+      ? query.is('assigned_to', null)
+      : query.eq('assigned_to', filters.assigned_to);
+  }
+  if (filters.source_of_incident) {
+    query = query.eq('source_of_incident', filters.source_of_incident);
+  }
+  if (filters.category) {
+    query = query.eq('category', filters.category);
+  }
+  if (filters.severity && filters.severity.length > 0) {
+    query = query.in('severity', filters.severity);
+  }
+  if (filters.priority && filters.priority.length > 0) {
+    query = query.in('priority', filters.priority);
+  }
+  if (filters.project_name) {
+    query = query.eq('project_name', filters.project_name);
+  }
+  if (filters.sales_work_order_number) {
+    query = query.eq('sales_work_order_number', filters.sales_work_order_number);
+  }
+  if (filters.date_from) {
+    query = query.gte('date_of_incident', filters.date_from);
+  }
+  if (filters.date_to) {
+    query = query.lte('date_of_incident', filters.date_to);
+  }
+  if (filters.search) {
+    const pattern = quoteFilterValue(`%${escapeLike(filters.search)}%`);
+    query = query.or(`subject.ilike.${pattern},details_and_findings.ilike.${pattern}`);
+  }
+  if (filters.sla_breached === true) {
+    query = query.or('acknowledge_breached.is.true,close_breached.is.true');
+  } else if (filters.sla_breached === false) {
+    query = query.eq('acknowledge_breached', false).eq('close_breached', false);
+  }
+  if (filters.sla_due_before) {
+    // An SLA target still running that falls due before the given time
+    const dueBefore = quoteFilterValue(filters.sla_due_before);
+    query = query.or(
+      `and(acknowledged_at.is.null,acknowledge_due_at.lt.${dueBefore}),and(closed_at.is.null,close_due_at.lt.${dueBefore})`
+    );
+  }
+  return query;
+};
+
+// Filtering on the reporter's department needs an inner join on users
+const reporterJoin = (filters) => {
+  return filters.department
+    ? 'user:users!incidents_user_id_fkey!inner(id, username, department)'
+    : 'user:users!incidents_user_id_fkey(id, username, department)';
+};
+
+// Keyset condition for rows after the cursor in (column desc, id desc) order
+const applyCursor = (query, cursor, column = 'created_at') => {
+  if (!cursor) return query;
+  const value = quoteFilterValue(cursor.createdAt);
+  const id = quoteFilterValue(cursor.id);
+  return query.or(`${column}.lt.${value},and(${column}.eq.${value},id.lt.${id})`);
+};
+
+// Read every incident matching the filters within the user's scope in
+// keyset-paginated batches; for exports and aggregates rather than pages
+const fetchAllIncidents = async (user, filters, columns, { batchSize = 500, maxRows = Infinity } = {}) => {
+  const incidents = [];
+  let cursor = null;
+
+  while (incidents.length < maxRows) {
+    let query = supabaseAdmin
+      .from('incidents')
+      .select(columns)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(batchSize);
+
+    query = applyIncidentScope(query, user);
+    query = applyIncidentFilters(query, filters);
+    query = applyCursor(query, cursor);
+
+    const { data: batch, error } = await query;
+
+    if (error) throw error;
+
+    incidents.push(...batch);
+
+    if (batch.length < batchSize) break;
+
+    const last = batch[batch.length - 1];
+    cursor = { createdAt: last.created_at, id: last.id };
+  }
+
+  return incidents.slice(0, maxRows);
+};
+
+// Build the pagination block returned with a page of rows fetched with limit + 1
+const buildPage = (rows, limit, total, column = 'created_at') => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    items,
+    pagination: {
+      total,
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(items[items.length - 1], column) : null
+    }
+  };
+};
+
+module.exports = {
+  parseIncidentFilters,
+  parsePagination,
+  applyIncidentScope,
+  incidentScopeParams,
+  applyAssignedTo,
+  applyIncidentFilters,
+  applyCursor,
+  reporterJoin,
+  buildPage,
+  fetchAllIncidents,
+  SCOPE_COLUMNS,
+  canViewIncident,
+  quoteFilterValue,
+  escapeLike
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Investigation fields of an incident response
+const RESPONSE_FIELDS = ['investigation_findings', 'root_cause', 'action_taken', 'further_action_plan'];
+
+// Interim responses are progress updates; an incident has at most one final
+// report, which needs sign-off before the incident can close
+const RESPONSE_TYPES = ['interim', 'final'];
+
+// Unique indexes on incident_responses that keep concurrent inserts apart:
+// (incident_id) where response_type = 'final', and (incident_id, sequence)
+const FINAL_REPORT_INDEX = 'incident_responses_one_final_idx';
+const SEQUENCE_INDEX = 'incident_responses_incident_id_sequence_key';
+
+// Which of the indexes above an insert error violated, or null
+const responseConflict = (error) => {
+  if (!error || error.code !== '23505') return null;
+  const message = `${error.message} ${error.details || ''}`;
+  if (message.includes(FINAL_REPORT_INDEX)) return 'final';
+  if (message.includes(SEQUENCE_INDEX)) return 'sequence';
+  return null;
+};
+
+// The response fields present in a request body
+const pickResponseFields = (body) => {
+  const fields = {};
+  for (const field of RESPONSE_FIELDS) {
+    if (typeof body[field] !== 'undefined') fields[field] = body[field];
+  }
+  return fields;
+};
+
+const getFinalReport = async (incidentId) => {
+  const { data: report, error } = await supabaseAdmin
+    .from('incident_responses')
+    .select('*')
+    .eq('incident_id', incidentId)
+    .eq('response_type', 'final')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return report;
+};
+
+// Responses are numbered in the order they were recorded on an incident
+const nextResponseSequence = async (incidentId) => {
+  const { data: latest, error } = await supabaseAdmin
+    .from('incident_responses')
+    .select('sequence')
+    .eq('incident_id', incidentId)
+    .order('sequence', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return latest && latest.sequence ? latest.sequence + 1 : 1;
+};
+
+// Store one edit of a response as its next numbered version
+const recordResponseVersion = async ({ responseId, changes, editorId }) => {
+  const { data: latest, error: latestError } = await supabaseAdmin
+    .from('incident_response_versions')
+    .select('version')
+    .eq('response_id', responseId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  const { data: version, error } = await supabaseAdmin
+    .from('incident_response_versions')
+    .insert({
+      response_id: responseId,
+      version: latest ? latest.version + 1 : 1,
+      changes,
+      edited_by: editorId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return version;
+};
+
+module.exports = {
+  RESPONSE_TYPES,
+  responseConflict,
+  pickResponseFields,
+  getFinalReport,
+  nextResponseSequence,
+  recordResponseVersion
+};
\ No newline at end of file
@@ -0,0 +1,85 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { incidentScopeParams } = require('./incidentQuery');
+
+const TOP_ROOT_CAUSES = 10;
+
+// Trend periods: how to find the start of a period, label it and step to the next
+const PERIODS = {
+  // ISO weeks, labelled by their Monday (YYYY-MM-DD)
+  weekly: {
+    start: (date) => {
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday;
+    },
+    label: (date) => date.toISOString().slice(0, 10),
+    step: (date) => date.setUTCDate(date.getUTCDate() + 7)
+  },
+  // Calendar months (YYYY-MM)
+  monthly: {
+    start: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+    label: (date) => date.toISOString().slice(0, 7),
+    step: (date) => date.setUTCMonth(date.getUTCMonth() + 1)
+  }
+};
+
+// Continuous series from the first to the last period, zero-filled; counts
+// are keyed by the period label
+const buildSeries = (counts, { start, label, step }) => {
+  const keys = Object.keys(counts).sort();
+  if (keys.length === 0) return [];
+
+  const series = [];
+  const cursor = start(new Date(keys[0]));
+  const lastKey = keys[keys.length - 1];
+
+  for (;;) {
+    const key = label(cursor);
+    series.push({ period: key, count: counts[key] || 0 });
+    if (key >= lastKey) break;
+    step(cursor);
+  }
+
+  return series;
+};
+
+const countsByPeriod = (rows) => Object.fromEntries((rows || []).map(row => [row.period, row.count]));
+
+// Aggregate statistics over the incidents visible to the user that match the
+// filters. The incident_stats database function does the counting and
+// returns by_<field> counts ('unspecified' for empty values), weekly and
+// monthly [{ period, count }] (Monday YYYY-MM-DD and YYYY-MM, by
+// date_of_incident or else created_at), time_to_acknowledge (submitted_at to
+// the first response) and time_to_close (submitted_at to the first 'closed'
+// status event) as { count, mean_hours, median_hours }, and the most common
+// root causes counted once per incident.
+const computeIncidentStats = async (user, filters) => {
+  const { data: stats, error } = await supabaseAdmin
+    .rpc('incident_stats', {
+      p_scope: incidentScopeParams(user),
+      p_filters: filters,
+      p_top_root_causes: TOP_ROOT_CAUSES
+    });
+
+  if (error) throw error;
+
+  return {
+    total: stats.total,
+    by_status: stats.by_status,
+    by_department: stats.by_department,
+    by_severity: stats.by_severity,
+    by_priority: stats.by_priority,
+    by_source: stats.by_source,
+    by_category: stats.by_category,
+    by_project: stats.by_project,
+    trends: {
+      weekly: buildSeries(countsByPeriod(stats.weekly), PERIODS.weekly),
+      monthly: buildSeries(countsByPeriod(stats.monthly), PERIODS.monthly)
+    },
+    time_to_acknowledge: stats.time_to_acknowledge,
+    time_to_close: stats.time_to_close,
+    top_root_causes: stats.top_root_causes
+  };
+};
+
+module.exports = { computeIncidentStats };
\ No newline at end of file
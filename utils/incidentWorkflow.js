@@ -0,0 +1,99 @@
+const { supabaseAdmin } = require('../config/supabase');
+const workflow = require('../config/incidentWorkflow');
+const { hasPermission } = require('./permissions');
+
+const isValidStatus = (status) => workflow.statuses.includes(status);
+
+const isFilled = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const findTransition = (from, to) => {
+  return workflow.transitions.find(t => t.to === to && t.from.includes(from));
+};
+
+const mayPerform = (transition, user) => {
+  return transition.permission
+    ? hasPermission(user, transition.permission)
+    : (transition.roles || []).includes(user.role);
+};
+
+// Statuses reachable from the current one by the given user
+const allowedTransitions = (from, user) => {
+  return workflow.transitions
+    .filter(t => t.from.includes(from) && mayPerform(t, user))
+    .map(t => ({ to: t.to, requiredFields: t.requiredFields || [] }));
+};
+
+// Values that can satisfy a transition's required fields: the request body
+// first, then anything already recorded on the incident's responses
+const gatherTransitionFields = async (incidentId, body) => {
+  const { data: responses, error } = await supabaseAdmin
+    .from('incident_responses')
+    .select('investigation_findings, root_cause, action_taken, further_action_plan')
+    .eq('incident_id', incidentId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const fields = {};
+  for (const response of responses || []) {
+    for (const [key, value] of Object.entries(response)) {
+      if (!isFilled(fields[key]) && isFilled(value)) fields[key] = value;
+    }
+  }
+  for (const [key, value] of Object.entries(body || {})) {
+    if (isFilled(value)) fields[key] = value;
+  }
+
+  return fields;
+};
+
+// Check a status change; returns null when allowed, otherwise { status, error }.
+// finalReport is the incident's final report response, if any, and
+// openActions its mandatory action items that are not done yet.
+const checkTransition = ({ from, to, user, fields, finalReport = null, openActions = [] }) => {
+  if (!isValidStatus(to)) {
+    return { status: 400, error: 'Invalid status' };
+  }
+
+  const transition = findTransition(from, to);
+  if (!transition) {
+    return {
+      status: 409,
+      error: `Cannot change status from '${from}' to '${to}'`,
+      allowed: allowedTransitions(from, user).map(t => t.to)
+    };
+  }
+
+  if (!mayPerform(transition, user)) {
+    return { status: 403, error: `Your role cannot change status from '${from}' to '${to}'` };
+  }
+
+  const missing = (transition.requiredFields || []).filter(field => !isFilled(fields[field]));
+  if (missing.length > 0) {
+    return {
+      status: 400,
+      error: `Missing required fields for '${to}': ${missing.join(', ')}`,
+      missing
+    };
+  }
+
+  if (transition.requiresApprovedReport && (!finalReport || finalReport.approval_status !== 'approved')) {
+    return { status: 409, error: `The final report must be approved before moving to '${to}'` };
+  }
+
+  if (transition.requiresCompletedActions && openActions.length > 0) {
+    return {
+      status: 409,
+      error: `Mandatory actions must be completed before moving to '${to}'`,
+      open_actions: openActions
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  isValidStatus,
+  gatherTransitionFields,
+  checkTransition
+};
\ No newline at end of file
@@ -0,0 +1,189 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Brute-force protection for login. Failures are counted per username and
+// per IP in memory; each failure pushes the next allowed attempt further out,
+// and after too many failures the account (persisted on users.locked_until)
+// or the IP is locked for a while. Every lockout is recorded in login_lockouts.
+const MAX_USERNAME_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const BASE_DELAY_MS = parseInt(process.env.LOGIN_BASE_DELAY_MS || '1000', 10);
+const MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS || '30000', 10);
+
+// Failure counters are forgotten after this long without a new failure
+const FAILURE_TTL_MS = 60 * 60 * 1000;
+
+const usernameFailures = new Map();
+const ipFailures = new Map();
+
+const cleanup = setInterval(() => {
+  const now = Date.now();
+  for (const store of [usernameFailures, ipFailures]) {
+    for (const [key, entry] of store) {
+      if (entry.lastFailureAt + FAILURE_TTL_MS <= now && (!entry.lockedUntil || entry.lockedUntil <= now)) {
+        store.delete(key);
+      }
+    }
+  }
+}, 10 * 60 * 1000);
+cleanup.unref();
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+const progressiveDelay = (failures) => {
+  if (failures <= 0) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+};
+
+// Milliseconds the caller must still wait before another attempt on this entry
+const waitFor = (entry, now) => {
+  if (!entry) return 0;
+  if (entry.lockedUntil && entry.lockedUntil > now) return entry.lockedUntil - now;
+  return Math.max(0, entry.lastFailureAt + progressiveDelay(entry.failures) - now);
+};
+
+// Returns { retryAfterMs, locked } when the attempt must be refused, otherwise null
+const checkLoginAllowed = (username, ip) => {
+  const now = Date.now();
+  const ipEntry = ipFailures.get(ip);
+  const userEntry = usernameFailures.get(normalizeUsername(username));
+
+  const retryAfterMs = Math.max(waitFor(ipEntry, now), waitFor(userEntry, now));
+  if (retryAfterMs <= 0) return null;
+
+  const locked = Boolean(
+    (ipEntry && ipEntry.lockedUntil > now) || (userEntry && userEntry.lockedUntil > now)
+  );
+
+  return { retryAfterMs, locked };
+};
+
+const recordLockout = async ({ scope, username = null, userId = null, ip, failures, lockedUntil }) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('login_lockouts')
+      .insert({
+        scope,
+        username,
+        user_id: userId,
+        ip_address: ip,
+        failed_attempts: failures,
+        locked_until: new Date(lockedUntil).toISOString()
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error recording login lockout:', error);
+  }
+
+  console.warn(`⚠️  Login lockout (${scope}) for ${scope === 'ip' ? ip : username} after ${failures} failures`);
+};
+
+const bump = (store, key, now) => {
+  const entry = store.get(key) || { failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+  store.set(key, entry);
+  return entry;
+};
+
+// Count a failed attempt; user is the matching account, if any
+const recordLoginFailure = async (username, ip, user) => {
+  const now = Date.now();
+  const lockedUntil = now + LOCKOUT_MINUTES * 60 * 1000;
+
+  const ipEntry = bump(ipFailures, ip, now);
+  if (ipEntry.failures >= MAX_IP_FAILURES && !(ipEntry.lockedUntil > now)) {
+    ipEntry.lockedUntil = lockedUntil;
+    await recordLockout({ scope: 'ip', ip, failures: ipEntry.failures, lockedUntil });
+  }
+
+  const key = normalizeUsername(username);
+  if (!key) return;
+
+  const userEntry = bump(usernameFailures, key, now);
+  if (userEntry.failures >= MAX_USERNAME_FAILURES && !(userEntry.lockedUntil > now)) {
+    userEntry.lockedUntil = lockedUntil;
+
+    if (user) {
+      const { error } = await supabaseAdmin
+        .from('users')
+        .update({
+          locked_until: new Date(lockedUntil).toISOString(),
+          failed_login_attempts: userEntry.failures
+        })
+        .eq('id', user.id);
+
+      if (error) console.error('Error locking user account:', error);
+    }
+
+    await recordLockout({
+      scope: 'username',
+      username: key,
+      userId: user ? user.id : null,
+      ip,
+      failures: userEntry.failures,
+      lockedUntil
+    });
+  }
+};
+
+const recordLoginSuccess = async (user, ip) => {
+  usernameFailures.delete(normalizeUsername(user.username));
+  ipFailures.delete(ip);
+
+  if (user.locked_until || user.failed_login_attempts) {
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({ locked_until: null, failed_login_attempts: 0 })
+      .eq('id', user.id);
+
+    if (error) console.error('Error resetting login failures:', error);
+  }
+};
+
+const isAccountLocked = (user) => {
+  return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+};
+
+// Lift a lockout early (admin action)
+const clearLockout = async (user) => {
+  usernameFailures.delete(normalizeUsername(user.username));
+
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({ locked_until: null, failed_login_attempts: 0 })
+    .eq('id', user.id);
+
+  if (error) throw error;
+};
+
+// IP addresses currently locked out (held in this process's memory)
+const listIpLockouts = () => {
+  const now = Date.now();
+  return [...ipFailures]
+    .filter(([, entry]) => entry.lockedUntil > now)
+    .map(([ip, entry]) => ({
+      ip_address: ip,
+      failed_attempts: entry.failures,
+      locked_until: new Date(entry.lockedUntil).toISOString()
+    }))
+    .sort((a, b) => b.locked_until.localeCompare(a.locked_until));
+};
+
+// Lift an IP lockout early (admin action); returns whether one was active
+const clearIpLockout = (ip) => {
+  const entry = ipFailures.get(ip);
+  ipFailures.delete(ip);
+  return Boolean(entry && entry.lockedUntil > Date.now());
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  isAccountLocked,
+  clearLockout,
+  listIpLockouts,
+  clearIpLockout
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+// Pluggable email transport, chosen with MAIL_TRANSPORT:
+//   smtp    - SMTP_HOST/SMTP_PORT (e.g. a local MailHog/smtp4dev stand-in on 1025)
+//   console - log messages instead of sending them
+//   none    - drop messages (default)
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || 'none';
+
+  if (transport === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || '127.0.0.1',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  if (transport === 'console') {
+    return {
+      sendMail: async (message) => {
+        console.log(`📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+        return { messageId: 'console' };
+      }
+    };
+  }
+
+  return { sendMail: async () => ({ messageId: null }) };
+};
+
+let transporter = createTransport();
+
+// Swap the transport (e.g. for a test double)
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return transporter.sendMail({
+    from: process.env.MAIL_FROM || 'Panache Incident Reports <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = { sendMail, setTransport };
\ No newline at end of file
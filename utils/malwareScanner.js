@@ -0,0 +1,88 @@
+const fs = require('fs');
+const net = require('net');
+const { execFile } = require('child_process');
+
+// Pluggable malware scanning for uploads. Select a backend with
+// MALWARE_SCANNER (none | clamd | command) or register a custom one.
+// A scanner resolves to { clean: true } or { clean: false, reason }.
+const scanners = {
+  none: async () => ({ clean: true }),
+
+  // clamd INSTREAM protocol over TCP (CLAMD_HOST / CLAMD_PORT)
+  clamd: (path) => new Promise((resolve, reject) => {
+    const socket = net.createConnection({
+      host: process.env.CLAMD_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMD_PORT || '3310', 10)
+    });
+    let reply = '';
+
+    socket.setTimeout(parseInt(process.env.MALWARE_SCAN_TIMEOUT_MS || '60000', 10), () => {
+      socket.destroy(new Error('clamd scan timed out'));
+    });
+    socket.on('error', reject);
+    socket.on('data', chunk => { reply += chunk.toString(); });
+    socket.on('end', () => {
+      const result = reply.replace(/\0/g, '').trim();
+      if (result.endsWith('OK')) {
+        resolve({ clean: true });
+      } else if (result.endsWith('FOUND')) {
+        resolve({ clean: false, reason: `malware_detected: ${result.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '')}` });
+      } else {
+        reject(new Error(`Unexpected clamd reply: ${result}`));
+      }
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      const stream = fs.createReadStream(path, { highWaterMark: 64 * 1024 });
+      stream.on('error', err => socket.destroy(err));
+      stream.on('data', chunk => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      });
+      stream.on('end', () => socket.write(Buffer.alloc(4)));
+    });
+  }),
+
+  // External command (MALWARE_SCAN_COMMAND) run with the file path as its
+  // last argument: exit 0 = clean, exit 1 = infected, anything else = error
+  command: (path) => new Promise((resolve, reject) => {
+    const [command, ...args] = (process.env.MALWARE_SCAN_COMMAND || '').split(' ').filter(Boolean);
+    if (!command) {
+      return reject(new Error('MALWARE_SCAN_COMMAND is not set'));
+    }
+
+    execFile(command, [...args, path], { timeout: 5 * 60 * 1000 }, (error, stdout) => {
+      if (!error) return resolve({ clean: true });
+      if (error.code === 1) {
+        return resolve({ clean: false, reason: `malware_detected: ${String(stdout).trim()}` });
+      }
+      reject(error);
+    });
+  })
+};
+
+const registerScanner = (name, scanner) => {
+  scanners[name] = scanner;
+};
+
+// Scan a staged file. Scanner failures count as not clean (fail closed).
+const scanFile = async (path) => {
+  const name = process.env.MALWARE_SCANNER || 'none';
+  const scanner = scanners[name];
+
+  if (!scanner) {
+    return { clean: false, reason: `scan_failed: unknown scanner '${name}'` };
+  }
+
+  try {
+    return await scanner(path);
+  } catch (error) {
+    console.error('Malware scan failed:', error);
+    return { clean: false, reason: 'scan_failed' };
+  }
+};
+
+module.exports = { scanFile, registerScanner };
\ No newline at end of file
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../config/supabase');
+const { stagingDir } = require('../config/uploads');
+const { uploadToBucket, downloadToFile } = require('./storage');
+
+// Thumbnails and previews for attachments, generated in the background after
+// upload and stored beside the original:
+//   images: <file>.thumb.webp (320px) and <file>.preview.webp (1280px)
+//   videos: <file>.poster.jpg (frame at ~1s), <file>.thumb.webp and the duration
+// Video work needs ffmpeg/ffprobe on PATH (or FFMPEG_PATH / FFPROBE_PATH).
+const THUMBNAIL_SIZE = 320;
+const PREVIEW_SIZE = 1280;
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+
+const variantsDir = path.join(stagingDir, 'variants');
+fs.mkdirSync(variantsDir, { recursive: true });
+
+const tempPath = (ext) => path.join(variantsDir, `${crypto.randomUUID()}${ext}`);
+
+const run = (command, args) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout: 2 * 60 * 1000, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+    if (error) return reject(error);
+    resolve(stdout);
+  });
+});
+
+const resizeToWebp = async (source, size, quality) => {
+  const output = tempPath('.webp');
+  await sharp(source)
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality })
+    .toFile(output);
+  return output;
+};
+
+const probeDuration = async (source) => {
+  const stdout = await run(FFPROBE, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'json', source]);
+  const duration = parseFloat(JSON.parse(stdout).format.duration);
+  return isNaN(duration) ? null : duration;
+};
+
+const extractPoster = async (source, duration) => {
+  const output = tempPath('.jpg');
+  const at = duration ? Math.min(1, duration / 2) : 0;
+  await run(FFMPEG, [
+    '-v', 'error',
+    '-ss', String(at),
+    '-i', source,
+    '-frames:v', '1',
+    '-vf', `scale='min(${PREVIEW_SIZE},iw)':-2`,
+    '-q:v', '3',
+    '-y', output
+  ]);
+  return output;
+};
+
+// Build, upload and record the variants of one attachment. Without a local
+// source the original is downloaded from storage first.
+const generateVariants = async (attachment, source) => {
+  const temps = [];
+  const store = async (file, suffix, mimetype) => {
+    temps.push(file);
+    return uploadToBucket(`${attachment.file_url}${suffix}`, { path: file, mimetype });
+  };
+
+  try {
+    if (!source) {
+      source = tempPath(path.extname(attachment.original_filename || ''));
+      await downloadToFile(attachment.file_url, source);
+    }
+
+    const update = { variants_status: 'ready' };
+
+    if (attachment.file_type.startsWith('image/')) {
+      update.thumbnail_url = await store(await resizeToWebp(source, THUMBNAIL_SIZE, 70), '.thumb.webp', 'image/webp');
+      update.preview_url = await store(await resizeToWebp(source, PREVIEW_SIZE, 80), '.preview.webp', 'image/webp');
+    } else if (attachment.file_type.startsWith('video/')) {
+      update.duration_seconds = await probeDuration(source);
+      const poster = await extractPoster(source, update.duration_seconds);
+      update.poster_url = await store(poster, '.poster.jpg', 'image/jpeg');
+      update.thumbnail_url = await store(await resizeToWebp(poster, THUMBNAIL_SIZE, 70), '.thumb.webp', 'image/webp');
+    } else {
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('incident_attachments')
+      .update(update)
+      .eq('id', attachment.id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Error generating variants for attachment ${attachment.id}:`, error);
+
+    await supabaseAdmin
+      .from('incident_attachments')
+      .update({ variants_status: 'failed' })
+      .eq('id', attachment.id)
+      .then(({ error: updateError }) => {
+        if (updateError) console.error('Error flagging failed variants:', updateError);
+      });
+  } finally {
+    await Promise.all([source, ...temps].filter(Boolean).map(file => fs.promises.rm(file, { force: true })));
+  }
+};
+
+// Jobs run one at a time so image/video processing cannot starve requests
+const queue = [];
+let processing = false;
+
+const drain = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const { attachment, source } = queue.shift();
+    await generateVariants(attachment, source);
+  }
+
+  processing = false;
+};
+
+// Schedule variant generation for a freshly uploaded attachment. The staged
+// file is hard-linked so it outlives the request that uploaded it.
+const queueVariants = async (attachment, stagedPath) => {
+  const source = tempPath(path.extname(attachment.original_filename || ''));
+  await fs.promises.link(stagedPath, source).catch(() => fs.promises.copyFile(stagedPath, source));
+
+  queue.push({ attachment, source });
+  setImmediate(() => {
+    drain().catch(error => console.error('Error processing attachment variants:', error));
+  });
+};
+
+// Re-queue attachments left pending by a restart or crash; their staged
+// files are gone, so the originals are fetched from storage one at a time
+const resumePendingVariants = async () => {
+  const { data: attachments, error } = await supabaseAdmin
+    .from('incident_attachments')
+    .select('*')
+    .eq('variants_status', 'pending')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  if (attachments.length === 0) return;
+
+  console.log(`🖼️  Resuming variant generation for ${attachments.length} attachments`);
+
+  queue.push(...attachments.map(attachment => ({ attachment, source: null })));
+  await drain();
+};
+
+module.exports = { queueVariants, resumePendingVariants };
\ No newline at end of file
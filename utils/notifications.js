@@ -0,0 +1,209 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { INCIDENT_EVENTS, incidentEventBus } = require('./incidentEvents');
+const { sendMail } = require('./mailer');
+const { rolesWithPermission } = require('./permissions');
+
+// Incident events that notify people, keyed by audit event type
+const NOTIFICATION_TYPES = {
+  [INCIDENT_EVENTS.CREATED]: 'incident.created',
+  [INCIDENT_EVENTS.RESPONSE_ADDED]: 'incident.acknowledged',
+  [INCIDENT_EVENTS.STATUS_CHANGED]: 'incident.status_changed',
+  [INCIDENT_EVENTS.COMMENT_ADDED]: 'incident.comment_added',
+  [INCIDENT_EVENTS.REPORT_REVIEWED]: 'incident.report_reviewed',
+  [INCIDENT_EVENTS.RESOLUTION_CONFIRMED]: 'incident.resolution_confirmed',
+  [INCIDENT_EVENTS.ASSIGNED]: 'incident.assigned'
+};
+
+// Sent directly to admins rather than derived from an event's audience
+const SLA_BREACH_NOTIFICATION = 'incident.sla_breached';
+
+// Sent directly to the owner of an action item
+const ACTION_ASSIGNED_NOTIFICATION = 'incident.action_assigned';
+
+// Every type users can set preferences for
+const PREFERENCE_TYPES = [...Object.values(NOTIFICATION_TYPES), SLA_BREACH_NOTIFICATION, ACTION_ASSIGNED_NOTIFICATION];
+
+const describe = (type, event, incident, actorName) => {
+  const subject = `"${incident.subject}"`;
+
+  switch (type) {
+    case 'incident.created':
+      return { title: 'New incident reported', body: `${actorName} reported ${subject}.` };
+    case 'incident.acknowledged':
+      return { title: 'Incident acknowledged', body: `${actorName} responded to ${subject}.` };
+    case 'incident.status_changed':
+      return {
+        title: 'Incident status changed',
+        body: `${actorName} changed ${subject} from '${event.old_value.status}' to '${event.new_value.status}'.`
+      };
+    case 'incident.comment_added':
+      return { title: 'New comment', body: `${actorName} commented on ${subject}.` };
+    case 'incident.report_reviewed':
+      return {
+        title: event.new_value.decision === 'approved' ? 'Final report approved' : 'Final report rejected',
+        body: `${actorName} ${event.new_value.decision} the final report of ${subject}.`
+      };
+    case 'incident.resolution_confirmed':
+      return {
+        title: event.new_value.resolved ? 'Resolution confirmed' : 'Resolution disputed',
+        body: event.new_value.resolved
+          ? `${actorName} confirmed the actions taken resolved ${subject}.`
+          : `${actorName} reported that ${subject} is not resolved.`
+      };
+    case 'incident.assigned':
+      return {
+        title: 'Incident assigned',
+        body: incident.assignee
+          ? `${actorName} assigned ${subject} to ${incident.assignee.username}.`
+          : `${actorName} moved ${subject} to the ${incident.assigned_department} queue.`
+      };
+    default:
+      return { title: 'Incident update', body: `${subject} was updated.` };
+  }
+};
+
+// Per-user channel settings for a notification type (both on by default)
+const loadPreferences = async (userIds, type) => {
+  const { data: rows, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('user_id, in_app, email')
+    .eq('event_type', type)
+    .in('user_id', userIds);
+
+  if (error) throw error;
+
+  const preferences = new Map(userIds.map(id => [id, { in_app: true, email: true }]));
+  for (const row of rows) {
+    preferences.set(row.user_id, { in_app: row.in_app, email: row.email });
+  }
+  return preferences;
+};
+
+// Deliver a notification to users (rows with id, email) per their preferences
+const sendNotifications = async ({ recipients, type, incidentId = null, title, body }) => {
+  if (recipients.length === 0) return;
+
+  const preferences = await loadPreferences(recipients.map(user => user.id), type);
+
+  const inApp = recipients
+    .filter(user => preferences.get(user.id).in_app)
+    .map(user => ({ user_id: user.id, incident_id: incidentId, event_type: type, title, body }));
+
+  if (inApp.length > 0) {
+    const { error } = await supabaseAdmin.from('notifications').insert(inApp);
+    if (error) console.error('Error saving notifications:', error);
+  }
+
+  for (const user of recipients) {
+    if (!user.email || !preferences.get(user.id).email) continue;
+
+    try {
+      await sendMail({ to: user.email, subject: `[Panache] ${title}`, text: body });
+    } catch (error) {
+      console.error(`Error emailing notification to ${user.id}:`, error);
+    }
+  }
+};
+
+// Reporter, assignee, department reviewers (incident.read.department) of the
+// department the incident is routed to and watchers, minus the actor.
+// Internal comments only reach users who may read internal notes.
+const resolveRecipients = async (incident, event) => {
+  const [reviewerRoles, internalRoles] = await Promise.all([
+    rolesWithPermission('incident.read.department'),
+    rolesWithPermission('comment.internal')
+  ]);
+
+  const [
+    { data: departmentReviewers, error: reviewerError },
+    { data: watchers, error: watcherError }
+  ] = await Promise.all([
+    supabaseAdmin
+      .from('users')
+      .select('id')
+      .in('role', reviewerRoles)
+      .eq('department', incident.assigned_department || (incident.user ? incident.user.department : ''))
+      .eq('is_active', true),
+    supabaseAdmin
+      .from('incident_watchers')
+      .select('user_id')
+      .eq('incident_id', incident.id)
+  ]);
+
+  if (reviewerError) throw reviewerError;
+  if (watcherError) throw watcherError;
+
+  const ids = new Set([
+    incident.user_id,
+    incident.assigned_to,
+    ...departmentReviewers.map(user => user.id),
+    ...watchers.map(watcher => watcher.user_id)
+  ]);
+  ids.delete(event.actor_id);
+  ids.delete(null);
+
+  if (ids.size === 0) return [];
+
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id, username, email, role, is_active')
+    .in('id', [...ids]);
+
+  if (error) throw error;
+
+  const internal = event.event_type === INCIDENT_EVENTS.COMMENT_ADDED && event.new_value && event.new_value.is_internal;
+
+  return users.filter(user => user.is_active && !(internal && !internalRoles.includes(user.role)));
+};
+
+const handleIncidentEvent = async (event) => {
+  const type = NOTIFICATION_TYPES[event.event_type];
+  if (!type) return;
+
+  const [
+    { data: incident, error },
+    { data: actor, error: actorError }
+  ] = await Promise.all([
+    supabaseAdmin
+      .from('incidents')
+      .select(`
+        id, subject, status, user_id, assigned_to, assigned_department,
+        user:users!incidents_user_id_fkey(id, username, department),
+        assignee:users!incidents_assigned_to_fkey(id, username)
+      `)
+      .eq('id', event.incident_id)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('users')
+      .select('username')
+      .eq('id', event.actor_id)
+      .maybeSingle()
+  ]);
+
+  if (error) throw error;
+  if (actorError) throw actorError;
+  if (!incident) return;
+
+  const recipients = await resolveRecipients(incident, event);
+  const { title, body } = describe(type, event, incident, actor ? actor.username : 'Someone');
+
+  await sendNotifications({ recipients, type, incidentId: incident.id, title, body });
+};
+
+// Subscribe to recorded incident events (called once at startup)
+const registerNotificationHandlers = () => {
+  incidentEventBus.on('event', (event) => {
+    handleIncidentEvent(event).catch(error => {
+      console.error(`Error sending notifications for event ${event.id}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  SLA_BREACH_NOTIFICATION,
+  ACTION_ASSIGNED_NOTIFICATION,
+  PREFERENCE_TYPES,
+  sendNotifications,
+  registerNotificationHandlers
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const policy = require('../config/passwordPolicy');
+
+// Returns a list of policy violations (empty when the password is acceptable)
+const validatePassword = (password, { username } = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+    if (typeof password !== 'string') return errors;
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.disallowUsername && username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    errors.push('Password must not contain the username');
+  }
+
+  return errors;
+};
+
+// Password hashing happens in the database (pgcrypto), as for create_user
+const verifyPassword = async (username, password) => {
+  const { data: passwordCheck, error } = await supabaseAdmin
+    .rpc('verify_password', {
+      username_input: username,
+      password_input: password
+    });
+
+  if (error) throw error;
+
+  return Boolean(passwordCheck);
+};
+
+const setPassword = async (userId, password) => {
+  const { error } = await supabaseAdmin
+    .rpc('set_user_password', {
+      p_user_id: userId,
+      p_password: password
+    });
+
+  if (error) throw error;
+
+  const { error: updateError } = await supabaseAdmin
+    .from('users')
+    .update({
+      must_change_password: false,
+      password_changed_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (updateError) throw updateError;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a one-time reset token; earlier unused tokens for the user are voided
+const createResetToken = async (userId, createdBy) => {
+  const now = new Date();
+
+  const { error: voidError } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  if (voidError) throw voidError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + policy.resetTokenTtlMinutes * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .insert({
+      user_id: userId,
+      token_hash: hashToken(token),
+      created_by: createdBy,
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+
+  const { error: flagError } = await supabaseAdmin
+    .from('users')
+    .update({ must_change_password: true })
+    .eq('id', userId);
+
+  if (flagError) throw flagError;
+
+  return { token, expiresAt };
+};
+
+// Mark a reset token as used; returns its id, or null if it is unknown, used
+// or expired. The update is conditional so only one request can claim it.
+const claimResetToken = async (userId, token) => {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('id');
+
+  if (error) throw error;
+
+  return claimed.length === 1 ? claimed[0].id : null;
+};
+
+// Give a claimed token back when the password could not be set
+const releaseResetToken = async (tokenId) => {
+  const { error } = await supabaseAdmin
+    .from('password_reset_tokens')
+    .update({ used_at: null })
+    .eq('id', tokenId);
+
+  if (error) throw error;
+};
+
+module.exports = {
+  validatePassword,
+  verifyPassword,
+  setPassword,
+  createResetToken,
+  claimResetToken,
+  releaseResetToken
+};
\ No newline at end of file
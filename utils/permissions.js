@@ -0,0 +1,93 @@
+const { supabaseAdmin } = require('../config/supabase');
+const config = require('../config/permissions');
+
+// Role definitions are read from role_definitions, falling back to the
+// built-in roles, and cached briefly since every request needs them
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = null;
+
+const builtInRoles = () => {
+  return new Map(Object.entries(config.roles).map(([role, definition]) => [role, {
+    role,
+    description: definition.description,
+    permissions: definition.permissions,
+    is_system: true
+  }]));
+};
+
+const loadRoles = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.roles;
+
+  const { data: rows, error } = await supabaseAdmin
+    .from('role_definitions')
+    .select('role, description, permissions');
+
+  if (error) throw error;
+
+  const roles = builtInRoles();
+  for (const row of rows) {
+    roles.set(row.role, {
+      ...row,
+      is_system: Boolean(config.roles[row.role]),
+      // Drop permissions that no longer exist
+      permissions: (row.permissions || []).filter(permission => config.permissions[permission])
+    });
+  }
+
+  cache = { roles, expiresAt: Date.now() + CACHE_TTL_MS };
+  return roles;
+};
+
+// Forget cached definitions after an edit
+const invalidateRoles = () => {
+  cache = null;
+};
+
+const getRole = async (role) => (await loadRoles()).get(role) || null;
+
+const getRolePermissions = async (role) => {
+  const definition = await getRole(role);
+  return definition ? definition.permissions : [];
+};
+
+// Names of the roles granting a permission
+const rolesWithPermission = async (permission) => {
+  return [...(await loadRoles()).values()]
+    .filter(definition => definition.permissions.includes(permission))
+    .map(definition => definition.role);
+};
+
+const isPrivilegedRole = (definition) => {
+  return definition.permissions.some(permission => config.privilegedPermissions.includes(permission));
+};
+
+// req.user carries its role's permissions once authenticated
+const hasPermission = (user, permission) => Boolean(user && user.permissions && user.permissions.includes(permission));
+
+// Without user.manage.admin, user management is limited to the actor's own
+// department and to accounts whose role is not administrative. Returns why
+// the actor may not manage an account with this role and department, or null
+const checkManageable = async (actor, { role, department }) => {
+  if (hasPermission(actor, 'user.manage.admin')) return null;
+
+  const definition = await getRole(role);
+  if (definition && isPrivilegedRole(definition)) {
+    return 'Managing administrative accounts requires the user.manage.admin permission';
+  }
+  if (department !== actor.department) {
+    return 'You can only manage users of your own department';
+  }
+  return null;
+};
+
+module.exports = {
+  loadRoles,
+  invalidateRoles,
+  getRole,
+  getRolePermissions,
+  rolesWithPermission,
+  isPrivilegedRole,
+  hasPermission,
+  checkManageable
+};
\ No newline at end of file
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stagingDir, resumableExpiryHours } = require('../config/uploads');
+
+// Disk-backed state for tus resumable uploads. Each upload has a data file
+// that chunks are appended to and a JSON sidecar with its metadata; the size
+// of the data file is the authoritative upload offset.
+const resumableDir = path.join(stagingDir, 'resumable');
+fs.mkdirSync(resumableDir, { recursive: true });
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const dataPath = (id) => path.join(resumableDir, `${id}.bin`);
+const metaPath = (id) => path.join(resumableDir, `${id}.json`);
+
+const createUpload = async ({ userId, incidentId, filename, filetype, length }) => {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+
+  const upload = {
+    id,
+    user_id: userId,
+    incident_id: incidentId,
+    filename,
+    filetype,
+    length,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + resumableExpiryHours * 60 * 60 * 1000).toISOString()
+  };
+
+  await fs.promises.writeFile(dataPath(id), Buffer.alloc(0));
+  await fs.promises.writeFile(metaPath(id), JSON.stringify(upload));
+
+  return upload;
+};
+
+// Returns the upload with its current offset, or null if unknown or expired
+const getUpload = async (id) => {
+  if (!UPLOAD_ID_PATTERN.test(id)) return null;
+
+  try {
+    const upload = JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+    if (new Date(upload.expires_at) <= new Date()) {
+      await removeUpload(id);
+      return null;
+    }
+
+    const { size } = await fs.promises.stat(dataPath(id));
+    return { ...upload, offset: size, path: dataPath(id) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Stream a request body onto the end of the upload without buffering it.
+// Fails with UPLOAD_LENGTH_EXCEEDED if the client sends more than declared;
+// the chunk that overflows is not written.
+const appendChunk = async (upload, stream) => {
+  let written = upload.offset;
+
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      if (written > upload.length) {
+        return callback(new Error('UPLOAD_LENGTH_EXCEEDED'));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  // On a dropped connection whatever arrived stays on disk to resume from
+  await pipeline(stream, guard, fs.createWriteStream(upload.path, { flags: 'a' }));
+
+  const { size } = await fs.promises.stat(upload.path);
+  return size;
+};
+
+const removeUpload = async (id) => {
+  await Promise.all([
+    fs.promises.rm(dataPath(id), { force: true }),
+    fs.promises.rm(metaPath(id), { force: true })
+  ]);
+};
+
+// Periodically discard abandoned uploads
+const removeExpiredUploads = async () => {
+  const entries = await fs.promises.readdir(resumableDir);
+  for (const entry of entries.filter(name => name.endsWith('.json'))) {
+    await getUpload(path.basename(entry, '.json')).catch(err => {
+      console.error('Error checking resumable upload:', err);
+    });
+  }
+};
+
+const cleanup = setInterval(() => {
+  removeExpiredUploads().catch(err => console.error('Error cleaning resumable uploads:', err));
+}, 60 * 60 * 1000);
+cleanup.unref();
+
+module.exports = { createUpload, getUpload, appendChunk, removeUpload };
\ No newline at end of file
@@ -0,0 +1,192 @@
+const { supabaseAdmin } = require('../config/supabase');
+const retention = require('../config/retention');
+const { quarantineBucket } = require('../config/uploads');
+const { INCIDENT_EVENTS, recordIncidentEvent } = require('./incidentEvents');
+const { ATTACHMENTS_BUCKET, attachmentPaths, removeFromBucket } = require('./storage');
+const { quoteFilterValue } = require('./incidentQuery');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.RETENTION_CHECK_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Incidents purged per rule and run; the rest follow on the next run
+const PURGE_BATCH_SIZE = 100;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// When a soft-deleted incident becomes eligible for purging
+const purgeAfter = (incident) => {
+  return new Date(new Date(incident.deleted_at).getTime() + retention.deletedGraceDays * DAY_MS).toISOString();
+};
+
+const findPolicy = (incident) => {
+  let best = null;
+  for (const policy of retention.policies) {
+    const matches = !policy.source_of_incident || policy.source_of_incident === incident.source_of_incident;
+    if (matches && (!best || (policy.source_of_incident && !best.source_of_incident))) {
+      best = policy;
+    }
+  }
+  return best;
+};
+
+// Every stored object of an incident: attachments with their variants,
+// comment attachments and quarantined uploads
+const collectStoragePaths = async (incidentId) => {
+  const [
+    { data: attachments, error: attachmentError },
+    { data: commentAttachments, error: commentError },
+    { data: quarantined, error: quarantineError }
+  ] = await Promise.all([
+    supabaseAdmin.from('incident_attachments').select('*').eq('incident_id', incidentId),
+    supabaseAdmin
+      .from('incident_comment_attachments')
+      .select('*, comment:incident_comments!inner(incident_id)')
+      .eq('comment.incident_id', incidentId),
+    supabaseAdmin.from('quarantined_attachments').select('file_url').eq('incident_id', incidentId)
+  ]);
+
+  if (attachmentError) throw attachmentError;
+  if (commentError) throw commentError;
+  if (quarantineError) throw quarantineError;
+
+  return {
+    attachments,
+    paths: [...attachments, ...commentAttachments].flatMap(attachmentPaths),
+    quarantinePaths: quarantined.map(file => file.file_url)
+  };
+};
+
+// Permanently remove an incident, its rows (by cascade) and its stored files.
+// Refuses incidents under legal hold; returns whether it was purged. The row
+// is deleted first (guarded on the hold) so a hold placed meanwhile keeps the
+// files as well.
+const purgeIncident = async (incidentId, { reason, actorId = null }) => {
+  const { data: incident, error } = await supabaseAdmin
+    .from('incidents')
+    .select('id, user_id, subject, status, source_of_incident, created_at, closed_at, deleted_at, deleted_by, legal_hold')
+    .eq('id', incidentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!incident || incident.legal_hold) return false;
+
+  // Attachment rows go with the incident, so collect their paths beforehand
+  const { attachments, paths, quarantinePaths } = await collectStoragePaths(incidentId);
+
+  const { data: deleted, error: deleteError } = await supabaseAdmin
+    .from('incidents')
+    .delete()
+    .eq('id', incidentId)
+    .eq('legal_hold', false)
+    .select('id');
+
+  if (deleteError) throw deleteError;
+  if (deleted.length === 0) return false;
+
+  // The row is gone, so a storage failure must not skip the purge event;
+  // files left behind are listed in it for manual cleanup
+  const orphanedFiles = [];
+  for (const [bucketPaths, bucket] of [[paths, ATTACHMENTS_BUCKET], [quarantinePaths, quarantineBucket]]) {
+    try {
+      await removeFromBucket(bucketPaths, bucket);
+    } catch (storageError) {
+      console.error(`Error removing files of purged incident ${incidentId}:`, storageError);
+      orphanedFiles.push(...bucketPaths.map(path => ({ bucket, path })));
+    }
+  }
+
+  // Snapshot the incident so the history still describes what was removed
+  await recordIncidentEvent({
+    incidentId,
+    eventType: INCIDENT_EVENTS.PURGED,
+    actorId,
+    oldValue: {
+      ...incident,
+      attachments: attachments.map(att => ({ id: att.id, file_url: att.file_url }))
+    },
+    metadata: orphanedFiles.length > 0 ? { reason, orphaned_files: orphanedFiles } : { reason }
+  });
+
+  return true;
+};
+
+const purgeAll = async (incidents, reason) => {
+  let purged = 0;
+  for (const incident of incidents) {
+    try {
+      if (await purgeIncident(incident.id, { reason })) purged += 1;
+    } catch (error) {
+      console.error(`Error purging incident ${incident.id}:`, error);
+    }
+  }
+  return purged;
+};
+
+// Purge deleted incidents past the grace period and closed incidents past
+// their retention policy
+const runRetention = async () => {
+  const { data: expired, error } = await supabaseAdmin
+    .from('incidents')
+    .select('id')
+    .not('deleted_at', 'is', null)
+    .lt('deleted_at', daysAgo(retention.deletedGraceDays))
+    .eq('legal_hold', false)
+    .limit(PURGE_BATCH_SIZE);
+
+  if (error) throw error;
+
+  const purgedDeleted = await purgeAll(expired, 'recycle_bin_expired');
+  if (purgedDeleted > 0) {
+    console.log(`🗑️  Purged ${purgedDeleted} incidents from the recycle bin`);
+  }
+
+  for (const policy of retention.policies) {
+    let query = supabaseAdmin
+      .from('incidents')
+      .select('id, source_of_incident')
+      .eq('status', 'closed')
+      .not('closed_at', 'is', null)
+      .lt('closed_at', daysAgo(policy.retainDays))
+      .eq('legal_hold', false)
+      .limit(PURGE_BATCH_SIZE);
+
+    if (policy.source_of_incident) {
+      query = query.eq('source_of_incident', policy.source_of_incident);
+    } else {
+      // Sources with a policy of their own are left to that policy here,
+      // before the limit, so they cannot fill every batch
+      const ownSources = retention.policies
+        .filter(other => other.source_of_incident)
+        .map(other => quoteFilterValue(other.source_of_incident));
+      if (ownSources.length > 0) {
+        query = query.or(`source_of_incident.is.null,source_of_incident.not.in.(${ownSources.join(',')})`);
+      }
+    }
+
+    const { data: candidates, error: policyError } = await query;
+
+    if (policyError) throw policyError;
+
+    // A more specific policy may keep some of these for longer
+    const due = candidates.filter(incident => findPolicy(incident) === policy);
+    const purged = await purgeAll(due, `retention_policy:${policy.name}`);
+    if (purged > 0) {
+      console.log(`🗑️  Purged ${purged} incidents under retention policy ${policy.name}`);
+    }
+  }
+};
+
+// Periodic retention run inside the server process (called once at startup)
+const startRetentionJob = () => {
+  let running = false;
+  const job = setInterval(() => {
+    if (running) return;
+    running = true;
+    runRetention()
+      .catch(err => console.error('Error applying incident retention:', err))
+      .finally(() => { running = false; });
+  }, CHECK_INTERVAL_MS);
+  job.unref();
+};
+
+module.exports = { purgeAfter, startRetentionJob };
\ No newline at end of file
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+
+// Short-lived access tokens are tied to a server-side session; refresh tokens
+// rotate on every use and a replayed refresh token revokes the whole session.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const clientInfo = (req) => ({
+  user_agent: req.headers['user-agent'] || null,
+  ip_address: req.ip || null
+});
+
+const issueTokens = async (user, sessionId) => {
+  const accessToken = jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('refresh_tokens')
+    .insert({
+      session_id: sessionId,
+      user_id: user.id,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (error) throw error;
+
+  return {
+    token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+// Start a new session at login and return its first token pair
+const createSession = async (user, req) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('user_sessions')
+    .insert({
+      user_id: user.id,
+      ...clientInfo(req),
+      last_used_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return issueTokens(user, session.id);
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const now = new Date().toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: now, revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+
+  const { error: tokenError } = await supabaseAdmin
+    .from('refresh_tokens')
+    .update({ revoked_at: now })
+    .eq('session_id', sessionId)
+    .is('revoked_at', null);
+
+  if (tokenError) throw tokenError;
+};
+
+// Revoke every session of a user, optionally keeping the caller's own
+const revokeAllUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const now = new Date().toISOString();
+
+  let sessionQuery = supabaseAdmin
+    .from('user_sessions')
+    .update({ revoked_at: now, revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  let tokenQuery = supabaseAdmin
+    .from('refresh_tokens')
+    .update({ revoked_at: now })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    sessionQuery = sessionQuery.neq('id', exceptSessionId);
+    tokenQuery = tokenQuery.neq('session_id', exceptSessionId);
+  }
+
+  const { data: revoked, error } = await sessionQuery.select('id');
+  if (error) throw error;
+
+  const { error: tokenError } = await tokenQuery;
+  if (tokenError) throw tokenError;
+
+  return revoked.length;
+};
+
+// Exchange a refresh token for a new pair; returns { tokens, user } or { error }
+const rotateRefreshToken = async (refreshToken, req) => {
+  const { data: stored, error } = await supabaseAdmin
+    .from('refresh_tokens')
+    .select('id, session_id, user_id, expires_at, used_at, revoked_at')
+    .eq('token_hash', hashToken(refreshToken))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!stored) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  // A token that was already exchanged is being replayed: assume it leaked
+  if (stored.used_at) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    console.warn(`⚠️  Refresh token reuse detected for session ${stored.session_id}`);
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  // Revoked without being used (logout, logout-all): simply no longer valid
+  if (stored.revoked_at) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('refresh_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+
+  if (claimed.length === 0) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  const [
+    { data: session, error: sessionError },
+    { data: user, error: userError }
+  ] = await Promise.all([
+    supabaseAdmin.from('user_sessions').select('id, revoked_at').eq('id', stored.session_id).maybeSingle(),
+    supabaseAdmin.from('users').select('*').eq('id', stored.user_id).maybeSingle()
+  ]);
+
+  if (sessionError) throw sessionError;
+  if (userError) throw userError;
+
+  if (!session || session.revoked_at || !user || !user.is_active) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  const { error: touchError } = await supabaseAdmin
+    .from('user_sessions')
+    .update({ last_used_at: new Date().toISOString(), ...clientInfo(req) })
+    .eq('id', session.id);
+
+  if (touchError) throw touchError;
+
+  const tokens = await issueTokens(user, session.id);
+
+  return { tokens, user };
+};
+
+const isSessionActive = async (sessionId, userId) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('user_sessions')
+    .select('id, user_id, revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return Boolean(session && session.user_id === userId && !session.revoked_at);
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionActive
+};
\ No newline at end of file
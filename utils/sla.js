@@ -0,0 +1,182 @@
+const { supabaseAdmin } = require('../config/supabase');
+const slaConfig = require('../config/slaPolicies');
+const { INCIDENT_EVENTS, recordIncidentEvent } = require('./incidentEvents');
+const { SLA_BREACH_NOTIFICATION, sendNotifications } = require('./notifications');
+const { rolesWithPermission } = require('./permissions');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS || String(5 * 60 * 1000), 10);
+const HOUR_MS = 60 * 60 * 1000;
+
+// Breaches flagged per check; the rest are picked up on the next run
+const CHECK_BATCH_SIZE = 200;
+
+const isClosingStatus = (status) => slaConfig.closingStatuses.includes(status);
+
+const matches = (policy, incident) => {
+  return (!policy.source_of_incident || policy.source_of_incident === incident.source_of_incident) &&
+    (!policy.severity || policy.severity === incident.severity);
+};
+
+const specificity = (policy) => (policy.source_of_incident ? 1 : 0) + (policy.severity ? 1 : 0);
+
+const findPolicy = (incident) => {
+  let best = null;
+  for (const policy of slaConfig.policies) {
+    if (matches(policy, incident) && (!best || specificity(policy) > specificity(best))) {
+      best = policy;
+    }
+  }
+  return best;
+};
+
+const addHours = (date, hours) => {
+  return hours ? new Date(date.getTime() + hours * HOUR_MS).toISOString() : null;
+};
+
+// SLA columns for a new incident, with the clocks starting at createdAt
+const initialSlaFields = (incident, createdAt = new Date()) => {
+  const policy = findPolicy(incident);
+
+  return {
+    sla_policy: policy ? policy.name : null,
+    acknowledge_due_at: policy ? addHours(createdAt, policy.acknowledgeWithinHours) : null,
+    close_due_at: policy ? addHours(createdAt, policy.closeWithinHours) : null,
+    acknowledge_breached: false,
+    close_breached: false
+  };
+};
+
+// Policy and due dates after an incident's source or severity changed, still
+// counted from when it was reported. Breach flags are left to the monitor.
+const reclassifiedSlaFields = (incident) => {
+  const { sla_policy, acknowledge_due_at, close_due_at } = initialSlaFields(incident, new Date(incident.submitted_at || incident.created_at));
+  return { sla_policy, acknowledge_due_at, close_due_at };
+};
+
+const isLate = (dueAt, at) => Boolean(dueAt) && at > new Date(dueAt);
+
+// Columns to update when a response is recorded; only the first one counts
+const acknowledgementSlaFields = (incident, at = new Date()) => {
+  if (incident.acknowledged_at) return {};
+
+  return {
+    acknowledged_at: at.toISOString(),
+    acknowledge_breached: incident.acknowledge_breached || isLate(incident.acknowledge_due_at, at)
+  };
+};
+
+// Columns to update on a status change: reaching a closing status stops the
+// close clock, leaving one (e.g. reopening) restarts it. Breach flags stay set.
+const statusChangeSlaFields = (incident, status, at = new Date()) => {
+  if (isClosingStatus(status) && !incident.closed_at) {
+    return {
+      closed_at: at.toISOString(),
+      close_breached: incident.close_breached || isLate(incident.close_due_at, at)
+    };
+  }
+
+  if (!isClosingStatus(status) && incident.closed_at) {
+    return { closed_at: null };
+  }
+
+  return {};
+};
+
+const SLA_CHECKS = [
+  { target: 'acknowledge', dueColumn: 'acknowledge_due_at', doneColumn: 'acknowledged_at', flagColumn: 'acknowledge_breached' },
+  { target: 'close', dueColumn: 'close_due_at', doneColumn: 'closed_at', flagColumn: 'close_breached' }
+];
+
+// Flag one breached incident and escalate it to the admins (roles with
+// incident.read.all). The flag update is conditional so concurrent checks
+// never escalate the same breach twice.
+const escalateBreach = async (incident, check, admins) => {
+  const { data: flagged, error } = await supabaseAdmin
+    .from('incidents')
+    .update({ [check.flagColumn]: true })
+    .eq('id', incident.id)
+    .eq(check.flagColumn, false)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!flagged) return;
+
+  await recordIncidentEvent({
+    incidentId: incident.id,
+    eventType: INCIDENT_EVENTS.SLA_BREACHED,
+    actorId: null,
+    newValue: { target: check.target, due_at: incident[check.dueColumn] },
+    metadata: { sla_policy: incident.sla_policy }
+  });
+
+  const overdueHours = Math.floor((Date.now() - new Date(incident[check.dueColumn]).getTime()) / HOUR_MS);
+
+  await sendNotifications({
+    recipients: admins,
+    type: SLA_BREACH_NOTIFICATION,
+    incidentId: incident.id,
+    title: `SLA breached: ${check.target}`,
+    body: `"${incident.subject}" (${incident.status}) missed its ${check.target} target ` +
+      `of ${incident[check.dueColumn]}` + (overdueHours > 0 ? ` and is ${overdueHours}h overdue.` : '.')
+  });
+};
+
+// Find incidents past an SLA target that have not been flagged yet
+const checkSlaBreaches = async () => {
+  const now = new Date().toISOString();
+  let admins = null;
+
+  for (const check of SLA_CHECKS) {
+    const { data: incidents, error } = await supabaseAdmin
+      .from('incidents')
+      .select(`id, subject, status, sla_policy, ${check.dueColumn}`)
+      .is(check.doneColumn, null)
+      .is('deleted_at', null)
+      .eq(check.flagColumn, false)
+      .lt(check.dueColumn, now)
+      .order(check.dueColumn, { ascending: true })
+      .limit(CHECK_BATCH_SIZE);
+
+    if (error) throw error;
+    if (incidents.length === 0) continue;
+
+    if (!admins) {
+      const { data, error: adminError } = await supabaseAdmin
+        .from('users')
+        .select('id, email')
+        .in('role', await rolesWithPermission('incident.read.all'))
+        .eq('is_active', true);
+
+      if (adminError) throw adminError;
+      admins = data;
+    }
+
+    for (const incident of incidents) {
+      await escalateBreach(incident, check, admins).catch(err => {
+        console.error(`Error escalating SLA breach for ${incident.id}:`, err);
+      });
+    }
+  }
+};
+
+// Periodic breach check inside the server process (called once at startup)
+const startSlaMonitor = () => {
+  let running = false;
+  const monitor = setInterval(() => {
+    if (running) return;
+    running = true;
+    checkSlaBreaches()
+      .catch(err => console.error('Error checking SLA breaches:', err))
+      .finally(() => { running = false; });
+  }, CHECK_INTERVAL_MS);
+  monitor.unref();
+};
+
+module.exports = {
+  initialSlaFields,
+  reclassifiedSlaFields,
+  acknowledgementSlaFields,
+  statusChangeSlaFields,
+  startSlaMonitor
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { supabaseAdmin } = require('../config/supabase');
+
+const ATTACHMENTS_BUCKET = 'incident-attachments';
+const SIGNED_URL_EXPIRY = 3600; // 1 hour
+
+// Stored object columns of an attachment and the signed URL field for each
+const URL_FIELDS = {
+  file_url: 'signed_url',
+  thumbnail_url: 'thumbnail_signed_url',
+  preview_url: 'preview_signed_url',
+  poster_url: 'poster_signed_url'
+};
+
+// Every stored object belonging to an attachment (original plus variants)
+const attachmentPaths = (attachment) => {
+  return Object.keys(URL_FIELDS).map(field => attachment[field]).filter(Boolean);
+};
+
+// Signed URLs are cached and reused while they stay valid for a while longer
+const SIGNED_URL_MIN_REMAINING = 10 * 60; // seconds
+const SIGNED_URL_CACHE_MAX = 10000;
+const SIGN_BATCH_SIZE = 100;
+const SIGN_CONCURRENCY = 4;
+
+const signedUrlCache = new Map();
+
+const cachedUrl = (path) => {
+  const entry = signedUrlCache.get(path);
+  if (!entry) return null;
+  if (entry.expiresAt - SIGNED_URL_MIN_REMAINING * 1000 <= Date.now()) {
+    signedUrlCache.delete(path);
+    return null;
+  }
+  return entry.url;
+};
+
+const cacheUrl = (path, url, signedAt) => {
+  // Maps iterate in insertion order, so the first key is the oldest
+  if (signedUrlCache.size >= SIGNED_URL_CACHE_MAX) {
+    signedUrlCache.delete(signedUrlCache.keys().next().value);
+  }
+  signedUrlCache.set(path, { url, expiresAt: signedAt + SIGNED_URL_EXPIRY * 1000 });
+};
+
+// Run async tasks with at most `limit` in flight
+const runWithConcurrency = async (tasks, limit) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      await tasks[next++]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+};
+
+const signBatch = async (paths, urls) => {
+  const signedAt = Date.now();
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .storage
+      .from(ATTACHMENTS_BUCKET)
+      .createSignedUrls(paths, SIGNED_URL_EXPIRY);
+
+    if (error) throw error;
+
+    for (const item of data) {
+      if (item.error || !item.signedUrl) {
+        console.error('Error generating signed URL for attachment:', item.path, item.error);
+        continue;
+      }
+      urls.set(item.path, item.signedUrl);
+      cacheUrl(item.path, item.signedUrl, signedAt);
+    }
+  } catch (urlError) {
+    console.error('Error processing signed URLs:', urlError);
+  }
+};
+
+// Sign many storage paths with bulk requests; returns a Map of path -> URL
+// (paths that could not be signed are missing from the map)
+const signPaths = async (paths) => {
+  const urls = new Map();
+  const pending = [];
+
+  for (const path of new Set(paths)) {
+    const url = cachedUrl(path);
+    if (url) {
+      urls.set(path, url);
+    } else {
+      pending.push(path);
+    }
+  }
+
+  const batches = [];
+  for (let i = 0; i < pending.length; i += SIGN_BATCH_SIZE) {
+    batches.push(pending.slice(i, i + SIGN_BATCH_SIZE));
+  }
+
+  await runWithConcurrency(batches.map(batch => () => signBatch(batch, urls)), SIGN_CONCURRENCY);
+
+  return urls;
+};
+
+// Add signed_url (and thumbnail/preview/poster signed URLs where variants
+// exist) to each attachment record; null when signing fails
+const signAttachments = async (attachments) => {
+  if (!attachments || attachments.length === 0) return attachments;
+
+  const urls = await signPaths(attachments.flatMap(attachmentPaths));
+
+  for (const attachment of attachments) {
+    for (const [field, signedField] of Object.entries(URL_FIELDS)) {
+      if (field === 'file_url' || attachment[field]) {
+        attachment[signedField] = urls.get(attachment[field]) || null;
+      }
+    }
+  }
+
+  return attachments;
+};
+
+// Stream a staged file ({ path, mimetype }) to a bucket (the attachments
+// bucket unless given); returns the stored path
+const uploadToBucket = async (path, file, bucket = ATTACHMENTS_BUCKET) => {
+  const { data: uploadData, error: uploadError } = await supabaseAdmin
+    .storage
+    .from(bucket)
+    .upload(path, fs.createReadStream(file.path), {
+      contentType: file.mimetype,
+      upsert: false
+    });
+
+  if (uploadError) throw uploadError;
+
+  return uploadData.path;
+};
+
+// Download a stored object into memory (only for small objects such as thumbnails)
+const downloadFromBucket = async (path) => {
+  const { data, error } = await supabaseAdmin
+    .storage
+    .from(ATTACHMENTS_BUCKET)
+    .download(path);
+
+  if (error) throw error;
+
+  return Buffer.from(await data.arrayBuffer());
+};
+
+// Stream a stored object to a local file (originals may be large videos)
+const downloadToFile = async (path, destination) => {
+  const { data, error } = await supabaseAdmin
+    .storage
+    .from(ATTACHMENTS_BUCKET)
+    .createSignedUrl(path, 60);
+
+  if (error) throw error;
+
+  const response = await fetch(data.signedUrl);
+  if (!response.ok) {
+    throw new Error(`Downloading ${path} failed with status ${response.status}`);
+  }
+
+  await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(destination));
+};
+
+const removeFromBucket = async (paths, bucket = ATTACHMENTS_BUCKET) => {
+  if (!paths || paths.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .storage
+    .from(bucket)
+    .remove(paths);
+
+  if (error) throw error;
+};
+
+module.exports = {
+  ATTACHMENTS_BUCKET,
+  attachmentPaths,
+  signAttachments,
+  uploadToBucket,
+  downloadFromBucket,
+  downloadToFile,
+  removeFromBucket
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { supabaseAdmin } = require('../config/supabase');
+const classification = require('../config/taxonomies');
+
+const ENTRY_COLUMNS = 'id, taxonomy, name, code, description, aliases, is_active, created_at, updated_at';
+
+// Names and aliases match regardless of case and surrounding/repeated whitespace
+const normalizeKey = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isTaxonomy = (taxonomy) => Object.prototype.hasOwnProperty.call(classification.taxonomies, taxonomy);
+
+// Every { table, column } holding the taxonomy's names
+const taxonomyColumns = (taxonomy) => {
+  const { table, column, references = [] } = classification.taxonomies[taxonomy];
+  return [{ table, column }, ...references];
+};
+
+const listEntries = async (taxonomy, { includeInactive = false } = {}) => {
+  let query = supabaseAdmin
+    .from('taxonomy_entries')
+    .select(ENTRY_COLUMNS)
+    .eq('taxonomy', taxonomy)
+    .order('name', { ascending: true });
+
+  if (!includeInactive) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data: entries, error } = await query;
+
+  if (error) throw error;
+
+  return entries;
+};
+
+// Find the entry a free-text value refers to, by name or alias
+const matchEntry = (entries, value) => {
+  const key = normalizeKey(value);
+  return entries.find(entry =>
+    normalizeKey(entry.name) === key || (entry.aliases || []).some(alias => normalizeKey(alias) === key)
+  ) || null;
+};
+
+// Canonical name of the active entry matching value, or null
+const resolveEntryName = async (taxonomy, value) => {
+  const entry = matchEntry(await listEntries(taxonomy), value);
+  return entry ? entry.name : null;
+};
+
+// Validate the classification fields of an incident payload against the
+// taxonomies. Only fields present in input are checked and returned, with
+// lookup values replaced by their canonical names. Returns { values } or { error }.
+const resolveClassification = async (input) => {
+  const values = {};
+
+  if (typeof input.severity !== 'undefined') {
+    if (!classification.severityLevels.includes(input.severity)) {
+      return { error: `Invalid severity, expected one of: ${classification.severityLevels.join(', ')}` };
+    }
+    values.severity = input.severity;
+  }
+
+  if (typeof input.priority !== 'undefined') {
+    if (!classification.priorityLevels.includes(input.priority)) {
+      return { error: `Invalid priority, expected one of: ${classification.priorityLevels.join(', ')}` };
+    }
+    values.priority = input.priority;
+  }
+
+  for (const [taxonomy, { table, column }] of Object.entries(classification.taxonomies)) {
+    if (table !== 'incidents' || typeof input[column] === 'undefined') continue;
+
+    // Only the source is mandatory; the others may be cleared
+    if (input[column] === null || input[column] === '') {
+      if (column === 'source_of_incident') {
+        return { error: 'source_of_incident is required' };
+      }
+      values[column] = null;
+      continue;
+    }
+
+    const name = await resolveEntryName(taxonomy, input[column]);
+    if (!name) {
+      return { error: `Unknown ${column}: ${input[column]}` };
+    }
+    values[column] = name;
+  }
+
+  return { values };
+};
+
+module.exports = {
+  ENTRY_COLUMNS,
+  normalizeKey,
+  isTaxonomy,
+  taxonomyColumns,
+  listEntries,
+  matchEntry,
+  resolveEntryName,
+  resolveClassification
+};
\ No newline at end of file
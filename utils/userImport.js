@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { parseCsv } = require('./csv');
+const { resolveEntryName } = require('./taxonomies');
+const { getRole, checkManageable } = require('./permissions');
+const { validatePassword, createResetToken } = require('./passwords');
+
+// Columns of an import file; password may be left out, in which case the
+// account gets a one-time reset token instead
+const IMPORT_FIELDS = ['username', 'password', 'role', 'department', 'email'];
+
+const MAX_IMPORT_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS || '500', 10);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+// Existing usernames are looked up in batches to keep request urls short
+const USERNAME_CHUNK_SIZE = 200;
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Rows from a CSV file with a header line; returns { rows } or { error }
+const rowsFromCsv = (text) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { error: 'The file is empty' };
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('username')) {
+    return { error: 'The header line must name a username column' };
+  }
+
+  const rows = lines.map(cells => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (IMPORT_FIELDS.includes(column)) row[column] = cells[index];
+    });
+    return row;
+  });
+
+  return { rows };
+};
+
+// Rows from a request: a text/csv body, { csv } or { users: [...] }
+const readImportRows = (body) => {
+  if (typeof body === 'string') return rowsFromCsv(body);
+  if (body && typeof body.csv === 'string') return rowsFromCsv(body.csv);
+  if (body && Array.isArray(body.users)) {
+    return { rows: body.users.map(user => (user && typeof user === 'object' ? user : {})) };
+  }
+  return { error: 'Send a CSV file (text/csv), { csv } or { users: [...] }' };
+};
+
+// Check every row without creating anything. Each result carries its
+// 1-based row number, the normalized values and any errors.
+const validateImportRows = async (rows, actor) => {
+  const usernames = [...new Set(rows.map(row => clean(row.username)).filter(Boolean))];
+  const taken = new Set();
+
+  for (let i = 0; i < usernames.length; i += USERNAME_CHUNK_SIZE) {
+    const { data: existing, error } = await supabaseAdmin
+      .from('users')
+      .select('username')
+      .in('username', usernames.slice(i, i + USERNAME_CHUNK_SIZE));
+
+    if (error) throw error;
+
+    for (const user of existing) taken.add(user.username);
+  }
+
+  const seen = new Set();
+  const departments = new Map();
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const values = {
+      username: clean(row.username),
+      password: clean(row.password),
+      role: clean(row.role),
+      department: clean(row.department),
+      email: clean(row.email)
+    };
+    const errors = [];
+
+    if (!values.username) {
+      errors.push('username is required');
+    } else if (seen.has(values.username)) {
+      errors.push('Duplicate username in this file');
+    } else if (taken.has(values.username)) {
+      errors.push('Username already exists');
+    }
+    seen.add(values.username);
+
+    if (!values.role) {
+      errors.push('role is required');
+    } else if (!(await getRole(values.role))) {
+      errors.push(`Invalid role: ${values.role}`);
+    }
+
+    if (!values.department) {
+      errors.push('department is required');
+    } else {
+      // Files usually repeat a handful of departments
+      if (!departments.has(values.department)) {
+        departments.set(values.department, await resolveEntryName('departments', values.department));
+      }
+      const departmentName = departments.get(values.department);
+      if (departmentName) {
+        values.department = departmentName;
+      } else {
+        errors.push(`Unknown department: ${values.department}`);
+      }
+    }
+
+    if (values.password) {
+      errors.push(...validatePassword(values.password, { username: values.username }));
+    }
+
+    if (values.email && !EMAIL_PATTERN.test(values.email)) {
+      errors.push('Invalid email');
+    }
+
+    if (errors.length === 0) {
+      const denied = await checkManageable(actor, values);
+      if (denied) errors.push(denied);
+    }
+
+    results.push({ row: index + 1, values, errors });
+  }
+
+  return results;
+};
+
+// Long enough and mixed enough to satisfy any password policy; never shown
+const randomPassword = () => `${crypto.randomBytes(24).toString('base64url')}aA1!`;
+
+// Create one validated row; returns the new account and, when no password
+// was given, a reset token for the user's first sign-in
+const createImportedUser = async (values, actor) => {
+  const { error } = await supabaseAdmin
+    .rpc('create_user', {
+      p_username: values.username,
+      p_password: values.password || randomPassword(),
+      p_role: values.role,
+      p_department: values.department,
+      p_created_by: actor.id
+    });
+
+  if (error) throw error;
+
+  const { data: user, error: updateError } = await supabaseAdmin
+    .from('users')
+    .update({ email: values.email || null })
+    .eq('username', values.username)
+    .select('id, username, role, department, email')
+    .single();
+
+  if (updateError) throw updateError;
+
+  if (values.password) {
+    return { user };
+  }
+
+  const { token, expiresAt } = await createResetToken(user.id, actor.id);
+  return { user, reset_token: token, reset_expires_at: expiresAt.toISOString() };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readImportRows,
+  validateImportRows,
+  createImportedUser
+};
\ No newline at end of file
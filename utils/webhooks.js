@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { supabaseAdmin } = require('../config/supabase');
+const { INCIDENT_EVENTS, incidentEventBus } = require('./incidentEvents');
+
+// Outgoing webhooks. Each incident event a webhook subscribes to becomes a
+// row in webhook_deliveries holding the exact payload, which is POSTed with
+// an HMAC signature and retried with exponential backoff until it succeeds or
+// runs out of attempts. Every attempt is logged in webhook_delivery_attempts.
+const WEBHOOK_EVENT_TYPES = {
+  [INCIDENT_EVENTS.CREATED]: 'incident.created',
+  [INCIDENT_EVENTS.RESPONSE_ADDED]: 'incident.acknowledged',
+  [INCIDENT_EVENTS.STATUS_CHANGED]: 'incident.status_changed',
+  [INCIDENT_EVENTS.ASSIGNED]: 'incident.assigned',
+  [INCIDENT_EVENTS.DELETED]: 'incident.deleted',
+  [INCIDENT_EVENTS.RESTORED]: 'incident.restored'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const BASE_RETRY_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000', 10);
+
+// A delivery left 'delivering' this long (e.g. the process died mid-request) is retried
+const STALE_DELIVERY_MS = 5 * 60 * 1000;
+
+// Response bodies are kept in the attempt log up to this many characters
+const MAX_LOGGED_BODY = 2000;
+
+// Webhooks must not reach the server's own network: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+// ranges are refused unless WEBHOOK_ALLOW_PRIVATE_URLS=true (local testing)
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 addresses are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Returns why a webhook url may not be used, or null. Checked when a webhook
+// is saved and again before every delivery, since DNS can change.
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'A valid https url is required';
+  }
+
+  if (!(url.protocol === 'https:' || (url.protocol === 'http:' && process.env.NODE_ENV !== 'production'))) {
+    return 'A valid https url is required';
+  }
+
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return null;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Cannot resolve ${hostname}`;
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'Webhook urls must not point to private, loopback or link-local addresses';
+  }
+
+  return null;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers verify X-Panache-Signature ("t=<unix seconds>,v1=<hex>") by
+// computing HMAC-SHA256 over "<t>.<raw body>" with the webhook secret
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Exponential backoff with a little jitter: 30s, 1m, 2m, 4m ... capped at 6h
+const retryDelaySeconds = (attempt) => {
+  const delay = Math.min(BASE_RETRY_SECONDS * 2 ** (attempt - 1), MAX_RETRY_SECONDS);
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+};
+
+const buildPayload = async (event, type) => {
+  const { data: incident, error } = await supabaseAdmin
+    .from('incidents')
+    .select('*')
+    .eq('id', event.incident_id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return {
+    id: event.id,
+    type,
+    occurred_at: event.created_at,
+    actor_id: event.actor_id,
+    data: {
+      incident,
+      old_value: event.old_value,
+      new_value: event.new_value,
+      metadata: event.metadata
+    }
+  };
+};
+
+// Queue a payload for one webhook and try to send it straight away
+const enqueueDelivery = async (webhook, { eventId = null, eventType, payload, replayOf = null }) => {
+  const { data: delivery, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .insert({
+      webhook_id: webhook.id,
+      event_id: eventId,
+      event_type: eventType,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      replay_of: replayOf
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  attemptDelivery(delivery.id).catch(err => {
+    console.error(`Error delivering webhook ${delivery.id}:`, err);
+  });
+
+  return delivery;
+};
+
+const postPayload = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const urlError = await checkWebhookUrl(webhook.url);
+  if (urlError) {
+    return { ok: false, status_code: null, response_body: null, error: urlError, duration_ms: 0 };
+  }
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Panache-Webhooks/1.0',
+        'X-Panache-Event': delivery.event_type,
+        'X-Panache-Delivery': delivery.id,
+        'X-Panache-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    const responseBody = (await response.text().catch(() => '')).slice(0, MAX_LOGGED_BODY);
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status_code: response.status,
+      response_body: responseBody,
+      error: null,
+      duration_ms: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status_code: null,
+      response_body: null,
+      error: error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message,
+      duration_ms: Date.now() - startedAt
+    };
+  }
+};
+
+// Send a pending delivery once. The status flip to 'delivering' acts as a
+// lock so a delivery is never sent twice concurrently.
+const attemptDelivery = async (deliveryId) => {
+  const { data: delivery, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update({ status: 'delivering', updated_at: new Date().toISOString() })
+    .eq('id', deliveryId)
+    .eq('status', 'pending')
+    .select('*, webhook:webhooks(id, url, secret, is_active)')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!delivery) return;
+
+  if (!delivery.webhook || !delivery.webhook.is_active) {
+    await supabaseAdmin
+      .from('webhook_deliveries')
+      .update({ status: 'failed', last_error: 'Webhook disabled or removed', updated_at: new Date().toISOString() })
+      .eq('id', delivery.id);
+    return;
+  }
+
+  const attempt = delivery.attempts + 1;
+  const result = await postPayload(delivery.webhook, delivery);
+
+  const { error: logError } = await supabaseAdmin
+    .from('webhook_delivery_attempts')
+    .insert({
+      delivery_id: delivery.id,
+      attempt,
+      status_code: result.status_code,
+      response_body: result.response_body,
+      error: result.error,
+      duration_ms: result.duration_ms
+    });
+
+  if (logError) console.error(`Error logging webhook attempt for ${delivery.id}:`, logError);
+
+  const now = new Date();
+  const update = {
+    attempts: attempt,
+    last_status_code: result.status_code,
+    last_error: result.ok ? null : (result.error || `HTTP ${result.status_code}`),
+    updated_at: now.toISOString()
+  };
+
+  if (result.ok) {
+    update.status = 'succeeded';
+    update.delivered_at = now.toISOString();
+    update.next_attempt_at = null;
+  } else if (attempt >= MAX_ATTEMPTS) {
+    update.status = 'failed';
+    update.next_attempt_at = null;
+  } else {
+    update.status = 'pending';
+    update.next_attempt_at = new Date(now.getTime() + retryDelaySeconds(attempt) * 1000).toISOString();
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update(update)
+    .eq('id', delivery.id);
+
+  if (updateError) throw updateError;
+};
+
+// Fan an incident event out to every active webhook subscribed to its type
+const handleIncidentEvent = async (event) => {
+  const type = WEBHOOK_EVENT_TYPES[event.event_type];
+  if (!type) return;
+
+  const { data: webhooks, error } = await supabaseAdmin
+    .from('webhooks')
+    .select('id')
+    .eq('is_active', true)
+    .contains('events', [type]);
+
+  if (error) throw error;
+  if (webhooks.length === 0) return;
+
+  const payload = await buildPayload(event, type);
+
+  for (const webhook of webhooks) {
+    await enqueueDelivery(webhook, { eventId: event.id, eventType: type, payload });
+  }
+};
+
+// Send everything that is due, and requeue deliveries stuck mid-send
+const processDueDeliveries = async () => {
+  const staleBefore = new Date(Date.now() - STALE_DELIVERY_MS).toISOString();
+
+  const { error: staleError } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .update({ status: 'pending', updated_at: new Date().toISOString() })
+    .eq('status', 'delivering')
+    .lt('updated_at', staleBefore);
+
+  if (staleError) throw staleError;
+
+  const { data: due, error } = await supabaseAdmin
+    .from('webhook_deliveries')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(50);
+
+  if (error) throw error;
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery.id).catch(err => {
+      console.error(`Error delivering webhook ${delivery.id}:`, err);
+    });
+  }
+};
+
+// Subscribe to incident events and start the retry worker (called once at startup)
+const registerWebhookHandlers = () => {
+  incidentEventBus.on('event', (event) => {
+    handleIncidentEvent(event).catch(error => {
+      console.error(`Error queueing webhooks for event ${event.id}:`, error);
+    });
+  });
+
+  let running = false;
+  const worker = setInterval(() => {
+    if (running) return;
+    running = true;
+    processDueDeliveries()
+      .catch(err => console.error('Error processing webhook deliveries:', err))
+      .finally(() => { running = false; });
+  }, POLL_INTERVAL_MS);
+  worker.unref();
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  checkWebhookUrl,
+  generateSecret,
+  enqueueDelivery,
+  registerWebhookHandlers
+};
\ No newline at end of file